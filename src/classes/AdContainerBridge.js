@@ -0,0 +1,166 @@
+/**
+ * @fileoverview AdContainerBridge class connecting the game to an MRAID 2.0/3.0 ad container.
+ * Defers game start until the container is ready and viewable, forwards visibility changes
+ * as pause/resume requests, and routes store links through the container's open call.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+/**
+ * AdContainerBridge class wrapping the MRAID lifecycle for the playable build
+ * Falls back to starting immediately and using window.open when no MRAID object is present
+ */
+export class AdContainerBridge {
+  /**
+   * Creates a new AdContainerBridge instance for the given MRAID object
+   * @param {Object|null} [mraid=window.mraid] - MRAID implementation (real SDK or local stub)
+   * @constructor
+   */
+  constructor(mraid = window.mraid) {
+    /** @type {Object|null} MRAID implementation provided by the ad container */
+    this.mraid = mraid || null;
+    /** @type {boolean} Flag indicating if the container has fired its ready event */
+    this.isReady = false;
+    /** @type {boolean} Flag indicating if the ad is currently viewable */
+    this.isViewable = false;
+    /** @type {boolean} Flag indicating if the start callback has been invoked */
+    this.hasStarted = false;
+    /** @type {Object} Lifecycle callbacks {onStart, onPause, onResume} */
+    this.callbacks = {};
+
+    this.handleReady = this.handleReady.bind(this);
+    this.handleViewableChange = this.handleViewableChange.bind(this);
+    this.handleExposureChange = this.handleExposureChange.bind(this);
+    this.handleStateChange = this.handleStateChange.bind(this);
+  }
+
+  /**
+   * Checks if an MRAID container is available
+   * @returns {boolean} True if an MRAID object was provided
+   */
+  isAvailable() {
+    return this.mraid !== null;
+  }
+
+  /**
+   * Checks if the container implements MRAID 3.0 or later
+   * @returns {boolean} True if the container reports version 3.0 or higher
+   */
+  isMraid3() {
+    const version = this.mraid?.getVersion?.();
+    return parseFloat(version) >= 3;
+  }
+
+  /**
+   * Starts listening to the container lifecycle
+   * @param {Object} callbacks - Lifecycle callbacks
+   * @param {Function} callbacks.onStart - Called once, when the ad first becomes viewable
+   * @param {Function} [callbacks.onPause] - Called when the ad becomes hidden after start
+   * @param {Function} [callbacks.onResume] - Called when the ad becomes viewable again
+   */
+  init(callbacks) {
+    this.callbacks = callbacks;
+
+    if (!this.isAvailable()) {
+      // Plain web page: nothing to wait for
+      this.updateViewable(true);
+      return;
+    }
+
+    if (this.mraid.getState() === 'loading') {
+      this.mraid.addEventListener('ready', this.handleReady);
+    } else {
+      this.handleReady();
+    }
+  }
+
+  /**
+   * Handles the MRAID ready event
+   * Subscribes to visibility events and applies the initial viewable state
+   */
+  handleReady() {
+    this.mraid.removeEventListener('ready', this.handleReady);
+    this.isReady = true;
+
+    // MRAID 3.0 deprecates viewableChange in favour of exposureChange
+    if (this.isMraid3()) {
+      this.mraid.addEventListener('exposureChange', this.handleExposureChange);
+    } else {
+      this.mraid.addEventListener('viewableChange', this.handleViewableChange);
+    }
+    this.mraid.addEventListener('stateChange', this.handleStateChange);
+
+    if (typeof this.mraid.isViewable === 'function') {
+      this.updateViewable(this.mraid.isViewable());
+    }
+  }
+
+  /**
+   * Handles the MRAID 2.0 viewableChange event
+   * @param {boolean} viewable - Whether the ad is now viewable
+   */
+  handleViewableChange(viewable) {
+    this.updateViewable(viewable);
+  }
+
+  /**
+   * Handles the MRAID 3.0 exposureChange event
+   * @param {number} exposedPercentage - Percentage of the ad currently on screen
+   */
+  handleExposureChange(exposedPercentage) {
+    this.updateViewable(exposedPercentage > 0);
+  }
+
+  /**
+   * Handles the MRAID stateChange event
+   * A hidden container is treated as not viewable
+   * @param {string} state - New container state ('default', 'expanded', 'hidden', ...)
+   */
+  handleStateChange(state) {
+    if (state === 'hidden') {
+      this.updateViewable(false);
+    }
+  }
+
+  /**
+   * Applies a viewable state change and invokes the matching lifecycle callback
+   * @param {boolean} viewable - Whether the ad is now viewable
+   */
+  updateViewable(viewable) {
+    if (this.isViewable === viewable) return;
+    this.isViewable = viewable;
+
+    if (viewable && !this.hasStarted) {
+      this.hasStarted = true;
+      this.callbacks.onStart?.();
+    } else if (viewable) {
+      this.callbacks.onResume?.();
+    } else if (this.hasStarted) {
+      this.callbacks.onPause?.();
+    }
+  }
+
+  /**
+   * Opens a URL through the container, or in a new window when no container is present
+   * @param {string} url - URL to open (usually a store link)
+   */
+  open(url) {
+    if (this.isAvailable()) {
+      this.mraid.open(url);
+    } else {
+      window.open(url, '_blank');
+    }
+  }
+
+  /**
+   * Disposes of the bridge and removes all MRAID listeners
+   */
+  dispose() {
+    if (!this.isAvailable()) return;
+    this.mraid.removeEventListener('ready', this.handleReady);
+    this.mraid.removeEventListener('viewableChange', this.handleViewableChange);
+    this.mraid.removeEventListener('exposureChange', this.handleExposureChange);
+    this.mraid.removeEventListener('stateChange', this.handleStateChange);
+  }
+}
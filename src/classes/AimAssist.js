@@ -0,0 +1,196 @@
+/**
+ * @fileoverview AimAssist class helping touch players keep the crosshair on targets.
+ * Slows the look input down while a live target is inside an angular cone around the
+ * crosshair and gently pulls the aim toward the target centre. In debug mode the cone
+ * is drawn as a ring around the crosshair.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { AIM_ASSIST_CONFIG } from '../helpers/constants';
+import { disposeObject3D } from '../helpers/utils';
+
+/** Camera forward direction in camera space */
+const FORWARD = new THREE.Vector3(0, 0, -1);
+/** Distance in front of the camera at which the debug ring is drawn */
+const DEBUG_RING_DISTANCE = 1;
+/** Number of segments of the debug ring */
+const DEBUG_RING_SEGMENTS = 48;
+
+/**
+ * AimAssist class adjusting the look input of each frame
+ * Game calls apply() in its rotation update with the camera and the targets
+ */
+export class AimAssist {
+  /**
+   * Creates a new AimAssist instance
+   * @param {THREE.Camera} camera - Player camera; the debug ring is attached to it
+   * @param {boolean} [showDebug=false] - Draw the assist cone
+   * @param {Object} [config=AIM_ASSIST_CONFIG] - Cone, slowdown and pull settings
+   * @constructor
+   */
+  constructor(camera, showDebug = false, config = AIM_ASSIST_CONFIG) {
+    /** @type {THREE.Camera} Player camera */
+    this.camera = camera;
+    /** @type {Object} Cone, slowdown and pull settings */
+    this.config = config;
+    /** @type {boolean} Whether aim assist is applied */
+    this.enabled = config.ENABLED;
+    /** @type {THREE.Object3D|null} Target inside the cone in the last frame */
+    this.assistedTarget = null;
+    /** @type {THREE.Box3} Scratch box for the target bounds */
+    this.targetBox = new THREE.Box3();
+    /** @type {THREE.Vector3} Scratch target centre, in camera space after getTargetOffset() */
+    this.targetCenter = new THREE.Vector3();
+    /** @type {THREE.LineLoop|null} Debug outline of the assist cone */
+    this.debugRing = null;
+
+    this.setDebugVisible(showDebug);
+  }
+
+  /**
+   * Enables or disables aim assist
+   * @param {boolean} enabled - True to assist
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.assistedTarget = null;
+  }
+
+  /**
+   * Checks if the look input of this frame is assisted
+   * Only while the player aims by touch or gyro, so an idle player is never dragged onto
+   * a target. A held look joystick reports no rotation while the finger rests, which
+   * must still be assisted to track moving targets
+   * @param {string|null} source - InputManager source that drove the look input, or null
+   * @param {boolean} isAiming - Whether the look joystick is held or gyro aiming is on
+   * @returns {boolean} True if the input is assisted
+   */
+  isAssisted(source, isAiming) {
+    if (!this.enabled || !isAiming) return false;
+    return source === null || this.config.ASSISTED_SOURCES.includes(source);
+  }
+
+  /**
+   * Adjusts the look input of this frame
+   * @param {Object} look - Rotation deltas in radians {yaw, pitch}
+   * @param {string|null} source - InputManager source that drove the look input, or null
+   * @param {boolean} isAiming - Whether the look joystick is held or gyro aiming is on
+   * @param {Array<THREE.Object3D>} targets - Targets of the round
+   * @param {number} delta - Time delta in seconds
+   * @returns {Object} Adjusted rotation deltas in radians {yaw, pitch}
+   */
+  apply(look, source, isAiming, targets, delta) {
+    this.assistedTarget = null;
+    const offset = this.isAssisted(source, isAiming)
+      ? this.findTarget(targets)
+      : null;
+    this.updateDebugRing();
+    if (!offset) return look;
+
+    const { SLOWDOWN, PULL_STRENGTH } = this.config;
+    const pull = Math.min(1, PULL_STRENGTH * delta);
+    return {
+      yaw: look.yaw * SLOWDOWN + offset.yaw * pull,
+      pitch: look.pitch * SLOWDOWN + offset.pitch * pull,
+    };
+  }
+
+  /**
+   * Finds the live target closest to the crosshair inside the cone
+   * @param {Array<THREE.Object3D>} targets - Targets of the round
+   * @returns {Object|null} Rotation from the crosshair to its centre {yaw, pitch}, or null
+   */
+  findTarget(targets) {
+    let closest = null;
+
+    targets.forEach((target) => {
+      if (!target.visible || target.userData.eliminated) return;
+
+      const offset = this.getTargetOffset(target);
+      if (!offset || offset.angle > this.config.CONE_ANGLE) return;
+      if (!closest || offset.angle < closest.angle) {
+        closest = offset;
+        this.assistedTarget = target;
+      }
+    });
+    return closest;
+  }
+
+  /**
+   * Gets the rotation from the crosshair to the centre of a target
+   * Uses the camera matrices of the last render
+   * @param {THREE.Object3D} target - Target to measure
+   * @returns {Object|null} {yaw, pitch, angle} in radians, or null when behind or out of range
+   */
+  getTargetOffset(target) {
+    this.targetBox.setFromObject(target).getCenter(this.targetCenter);
+    this.targetCenter.applyMatrix4(this.camera.matrixWorldInverse);
+
+    // Camera space: the camera looks down -Z, +X is right and +Y is up
+    const { x, y, z } = this.targetCenter;
+    if (z >= 0 || this.targetCenter.length() > this.config.MAX_DISTANCE) {
+      return null;
+    }
+    return {
+      yaw: Math.atan2(-x, -z),
+      pitch: Math.atan2(y, Math.hypot(x, z)),
+      angle: this.targetCenter.angleTo(FORWARD),
+    };
+  }
+
+  /**
+   * Shows or hides the debug outline of the assist cone
+   * @param {boolean} visible - True to draw the cone
+   */
+  setDebugVisible(visible) {
+    if (visible && !this.debugRing) {
+      const radius = Math.tan(this.config.CONE_ANGLE) * DEBUG_RING_DISTANCE;
+      const points = Array.from({ length: DEBUG_RING_SEGMENTS }, (_, i) => {
+        const angle = (i / DEBUG_RING_SEGMENTS) * Math.PI * 2;
+        return new THREE.Vector3(
+          Math.cos(angle) * radius,
+          Math.sin(angle) * radius,
+          -DEBUG_RING_DISTANCE
+        );
+      });
+      this.debugRing = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({
+          color: this.config.DEBUG_COLOR,
+          depthTest: false,
+          transparent: true,
+        })
+      );
+      // Drawn over the scene and the weapon
+      this.debugRing.renderOrder = 999;
+      this.camera.add(this.debugRing);
+    } else if (!visible && this.debugRing) {
+      this.camera.remove(this.debugRing);
+      disposeObject3D(this.debugRing);
+      this.debugRing = null;
+    }
+  }
+
+  /**
+   * Colors the debug ring by whether a target is being assisted
+   */
+  updateDebugRing() {
+    if (!this.debugRing) return;
+    this.debugRing.material.color.setHex(
+      this.assistedTarget
+        ? this.config.DEBUG_ACTIVE_COLOR
+        : this.config.DEBUG_COLOR
+    );
+  }
+
+  /**
+   * Disposes of the aim assist and its debug ring
+   */
+  dispose() {
+    this.setDebugVisible(false);
+    this.assistedTarget = null;
+  }
+}
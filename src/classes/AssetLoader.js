@@ -8,7 +8,7 @@
 
 import * as THREE from 'three';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { base64ToArrayBuffer } from '../helpers/utils';
+import { base64ToArrayBuffer, disposeObject3D } from '../helpers/utils';
 
 /**
  * AssetLoader class for managing game assets with Three.js loaders
@@ -35,7 +35,7 @@ export class AssetLoader {
     });
 
     manager.onLoad = () => {
-      this.loadCompleteCallback();
+      this.loadCompleteCallback?.();
     };
 
     /** @type {FBXLoader} FBX loader instance with custom manager */
@@ -90,4 +90,16 @@ export class AssetLoader {
     }
     throw 'TEXTURE DOES NOT EXIST WITH GIVEN KEY: ' + key;
   }
+
+  /**
+   * Disposes of all loaded models and textures
+   * Frees their GPU resources and clears the asset maps
+   */
+  dispose() {
+    this.loadCompleteCallback = null;
+    this.fbxLoadedMap.forEach((obj) => disposeObject3D(obj));
+    this.textureLoadedMap.forEach((texture) => texture.dispose());
+    this.fbxLoadedMap.clear();
+    this.textureLoadedMap.clear();
+  }
 }
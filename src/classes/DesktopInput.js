@@ -0,0 +1,454 @@
+/**
+ * @fileoverview DesktopInput class providing keyboard movement and pointer-lock mouse look.
+ * Sampled once per frame by the InputManager: WASD/arrow keys produce a joystick-style move
+ * vector, mouse movement under pointer lock turns the camera, clicks fire and P pauses.
+ * Switches between the touch and desktop schemes depending on the device that was used last.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import {
+  GAME_OVER_EVENT_NAME,
+  PLAY_AGAIN_EVENT_NAME,
+  GAME_PAUSED_EVENT_NAME,
+  GAME_RESUMED_EVENT_NAME,
+  FIRE_REQUESTED_EVENT_NAME,
+  FIRE_RELEASED_EVENT_NAME,
+  JOYSTICK_PRESSED_EVENT_NAME,
+  JOYSTICK_MOVED_EVENT_NAME,
+  INPUT_SCHEME_CHANGED_EVENT_NAME,
+} from '../helpers/EventNames';
+import {
+  DESKTOP_INPUT_CONFIG,
+  INPUT_SCHEMES,
+  JOYSTICK_CONFIG,
+} from '../helpers/constants';
+
+/**
+ * DesktopInput class turning keyboard and mouse input into move and look values
+ * Keys and the mouse report as the 'move' and 'look' sticks, so the tutorial and the idle
+ * watcher treat them like the joysticks
+ */
+export class DesktopInput {
+  /**
+   * Creates a new DesktopInput instance and detects the initial scheme
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {HTMLElement} lockTarget - Element whose clicks request pointer lock (the game canvas)
+   * @param {Object} [config=DESKTOP_INPUT_CONFIG] - Sensitivity, invert-Y and key bindings
+   * @constructor
+   */
+  constructor(eventBus, lockTarget, config = DESKTOP_INPUT_CONFIG) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {HTMLElement} Element whose clicks request pointer lock */
+    this.lockTarget = lockTarget;
+    /** @type {Object} Key bindings and event interval */
+    this.config = config;
+    /** @type {number} Camera rotation per pixel of mouse movement, in radians */
+    this.sensitivity = config.MOUSE_SENSITIVITY;
+    /** @type {boolean} Whether moving the mouse up looks down */
+    this.invertY = config.INVERT_Y;
+    /** @type {string} Active control scheme, one of the INPUT_SCHEMES values */
+    this.scheme = window.matchMedia('(pointer: fine)').matches
+      ? INPUT_SCHEMES.DESKTOP
+      : INPUT_SCHEMES.TOUCH;
+    /** @type {Set<string>} Codes of the movement keys currently held */
+    this.pressedKeys = new Set();
+    /** @type {boolean} Flag indicating if a movement key is held, read like a joystick's */
+    this.active = false;
+    /** @type {Object} Mouse movement since the last frame in px {x, y} */
+    this.lookDelta = { x: 0, y: 0 };
+    /** @type {boolean} Flag indicating if the pointer is locked to the lock target */
+    this.isLocked = false;
+    /** @type {boolean} Flag set when the browser refused pointer lock (e.g. sandboxed iframes) */
+    this.isLockUnavailable = false;
+    /** @type {boolean} Flag indicating if the primary mouse button is held */
+    this.isMouseDown = false;
+    /** @type {Object|null} Start of a drag-to-look press {x, y}, used to tell clicks from drags */
+    this.pressStart = null;
+    /** @type {boolean} Flag indicating if the pause key is held */
+    this.isPauseHeld = false;
+    /** @type {Object} Time of the last reported input event per stick, in ms */
+    this.lastInputEventTime = { move: -Infinity, look: -Infinity };
+    /** @type {boolean} Flag indicating if game is over */
+    this.isGameOver = false;
+    /** @type {boolean} Flag indicating if the game loop is paused */
+    this.isPaused = false;
+
+    this.setupEventListeners();
+    this.eventBus.emit(INPUT_SCHEME_CHANGED_EVENT_NAME, {
+      scheme: this.scheme,
+    });
+  }
+
+  /**
+   * Sets up keyboard, pointer and pointer lock listeners and game state handling
+   * pointerdown is captured, so the scheme switches before the joysticks see the press
+   */
+  setupEventListeners() {
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handlePointerLockChange = this.handlePointerLockChange.bind(this);
+    this.handlePointerLockError = this.handlePointerLockError.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('pointerdown', this.handlePointerDown, true);
+    window.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('touchstart', this.handleTouchStart, true);
+    window.addEventListener('blur', this.handleBlur);
+    document.addEventListener(
+      'pointerlockchange',
+      this.handlePointerLockChange
+    );
+    document.addEventListener('pointerlockerror', this.handlePointerLockError);
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
+        this.isGameOver = true;
+        this.releaseInput();
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.isGameOver = false;
+      }),
+      this.eventBus.on(GAME_PAUSED_EVENT_NAME, () => {
+        this.isPaused = true;
+        this.releaseInput();
+      }),
+      this.eventBus.on(GAME_RESUMED_EVENT_NAME, () => {
+        this.isPaused = false;
+      }),
+    ];
+  }
+
+  // ==== Scheme ====
+  /**
+   * Switches the control scheme and announces the change
+   * @param {string} scheme - One of the INPUT_SCHEMES values
+   */
+  setScheme(scheme) {
+    if (scheme === this.scheme) return;
+    this.scheme = scheme;
+    if (scheme === INPUT_SCHEMES.TOUCH) this.releaseInput();
+    this.eventBus.emit(INPUT_SCHEME_CHANGED_EVENT_NAME, { scheme });
+  }
+
+  /**
+   * Checks if the desktop scheme is active
+   * @returns {boolean} True while keyboard and mouse drive the game
+   */
+  isDesktop() {
+    return this.scheme === INPUT_SCHEMES.DESKTOP;
+  }
+
+  // ==== Keyboard ====
+  /**
+   * Gets the movement direction a key code belongs to
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string|null} Key of MOVE_KEYS, or null for other keys
+   */
+  getMoveDirection(code) {
+    const entry = Object.entries(this.config.MOVE_KEYS).find(([, codes]) =>
+      codes.includes(code)
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Handles key presses of the movement and pause keys
+   * The pause key also works while paused, so it can resume
+   * @param {KeyboardEvent} e - Keyboard event object
+   */
+  handleKeyDown(e) {
+    if (e.code === this.config.PAUSE_KEY) {
+      if (!e.repeat && !this.isGameOver) this.isPauseHeld = true;
+      return;
+    }
+    if (!this.getMoveDirection(e.code)) return;
+    // Arrow keys would otherwise scroll the host page
+    e.preventDefault();
+    if (e.repeat || this.isGameOver || this.isPaused) return;
+
+    this.setScheme(INPUT_SCHEMES.DESKTOP);
+    this.pressedKeys.add(e.code);
+    this.active = true;
+    this.eventBus.emit(JOYSTICK_PRESSED_EVENT_NAME, { stick: 'move' });
+    this.reportInput('move');
+  }
+
+  /**
+   * Handles key releases of the movement and pause keys
+   * @param {KeyboardEvent} e - Keyboard event object
+   */
+  handleKeyUp(e) {
+    if (e.code === this.config.PAUSE_KEY) this.isPauseHeld = false;
+    this.pressedKeys.delete(e.code);
+    this.active = this.pressedKeys.size > 0;
+  }
+
+  /**
+   * Gets the move vector of the held keys, in the joystick convention (y < 0 is forward)
+   * Diagonals are normalized, so the vector never exceeds length 1
+   * @returns {Object} Move input {x, y}
+   */
+  getMoveInput() {
+    const held = { FORWARD: 0, BACK: 0, LEFT: 0, RIGHT: 0 };
+    this.pressedKeys.forEach((code) => {
+      held[this.getMoveDirection(code)] = 1;
+    });
+
+    const x = held.RIGHT - held.LEFT;
+    const y = held.BACK - held.FORWARD;
+    const length = Math.hypot(x, y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+  }
+
+  // ==== Mouse ====
+  /**
+   * Checks if mouse movement and clicks drive the camera and the trigger
+   * Without pointer lock support the mouse looks while the button is held
+   * @returns {boolean} True if mouse input is applied
+   */
+  canUseMouse() {
+    return (
+      this.isDesktop() &&
+      !this.isGameOver &&
+      !this.isPaused &&
+      (this.isLocked || this.isLockUnavailable)
+    );
+  }
+
+  /**
+   * Handles pointer presses: switches schemes, locks the pointer or pulls the trigger
+   * Without pointer lock a press starts looking instead; it fires on release if it was not a drag
+   * @param {PointerEvent} e - Pointer event object
+   */
+  handlePointerDown(e) {
+    if (e.pointerType !== 'mouse') {
+      this.setScheme(INPUT_SCHEMES.TOUCH);
+      return;
+    }
+    if (e.button !== 0) return;
+
+    this.setScheme(INPUT_SCHEMES.DESKTOP);
+    if (this.isGameOver || this.isPaused) return;
+
+    if (!this.isLocked && !this.isLockUnavailable) {
+      // The click that locks the pointer does not fire
+      if (e.target === this.lockTarget) this.requestPointerLock();
+      return;
+    }
+
+    if (!this.canUseMouse() || this.isMouseDown) return;
+    this.isMouseDown = true;
+    if (this.isLocked) {
+      this.eventBus.emit(FIRE_REQUESTED_EVENT_NAME, { source: 'click' });
+    } else {
+      this.pressStart = { x: e.clientX, y: e.clientY };
+    }
+  }
+
+  /**
+   * Accumulates mouse movement for the next frame
+   * @param {PointerEvent} e - Pointer event object
+   */
+  handlePointerMove(e) {
+    if (e.pointerType !== 'mouse' || !this.canUseMouse()) return;
+    if (!this.isLocked && !this.isMouseDown) return;
+
+    this.lookDelta.x += e.movementX;
+    this.lookDelta.y += e.movementY;
+    this.reportInput('look');
+  }
+
+  /**
+   * Releases the trigger, or fires once for a drag-to-look press that stayed a click
+   * @param {PointerEvent} e - Pointer event object
+   */
+  handlePointerUp(e) {
+    if (e.pointerType !== 'mouse' || e.button !== 0 || !this.isMouseDown) {
+      return;
+    }
+    if (!this.pressStart) {
+      this.releaseTrigger();
+      return;
+    }
+
+    const distance = Math.hypot(
+      e.clientX - this.pressStart.x,
+      e.clientY - this.pressStart.y
+    );
+    this.isMouseDown = false;
+    this.pressStart = null;
+    if (distance <= JOYSTICK_CONFIG.TAP_MAX_DISTANCE && this.canUseMouse()) {
+      // A click is a complete trigger pull: press and release at once
+      this.eventBus.emit(FIRE_REQUESTED_EVENT_NAME, { source: 'click' });
+      this.eventBus.emit(FIRE_RELEASED_EVENT_NAME, { source: 'click' });
+    }
+  }
+
+  /**
+   * Switches to the touch scheme on the first touch
+   * Covers browsers that send touch events without pointer events
+   */
+  handleTouchStart() {
+    this.setScheme(INPUT_SCHEMES.TOUCH);
+  }
+
+  /**
+   * Gets the camera rotation of the mouse movement since the last call and clears it
+   * @returns {Object} Rotation deltas in radians {yaw, pitch}
+   */
+  consumeLookDelta() {
+    const pitchSign = this.invertY ? -1 : 1;
+    const look = {
+      yaw: -this.lookDelta.x * this.sensitivity,
+      pitch: -this.lookDelta.y * this.sensitivity * pitchSign,
+    };
+    this.lookDelta.x = 0;
+    this.lookDelta.y = 0;
+    return look;
+  }
+
+  /**
+   * Returns the keyboard and mouse actions for this frame
+   * Input source sampled by the InputManager; clicks fire through the event bus
+   * @returns {InputSample} Move keys, mouse look and pause key
+   */
+  sample() {
+    return {
+      move: this.active ? this.getMoveInput() : undefined,
+      look: this.consumeLookDelta(),
+      pause: this.isPauseHeld,
+    };
+  }
+
+  /**
+   * Sets the mouse sensitivity
+   * @param {number} sensitivity - Camera rotation per pixel, in radians
+   */
+  setSensitivity(sensitivity) {
+    this.sensitivity = sensitivity;
+  }
+
+  /**
+   * Sets whether the vertical mouse axis is inverted
+   * @param {boolean} invertY - True to look down when moving the mouse up
+   */
+  setInvertY(invertY) {
+    this.invertY = invertY;
+  }
+
+  // ==== Pointer Lock ====
+  /**
+   * Requests pointer lock on the lock target
+   * Newer browsers return a promise; its rejection is reported through pointerlockerror too
+   */
+  requestPointerLock() {
+    if (typeof this.lockTarget.requestPointerLock !== 'function') {
+      this.isLockUnavailable = true;
+      return;
+    }
+    this.lockTarget.requestPointerLock()?.catch?.(() => {});
+  }
+
+  /**
+   * Tracks whether the pointer is locked to the lock target
+   */
+  handlePointerLockChange() {
+    this.isLocked = document.pointerLockElement === this.lockTarget;
+    if (!this.isLocked) this.releaseTrigger();
+  }
+
+  /**
+   * Falls back to drag-to-look when the browser refuses pointer lock
+   */
+  handlePointerLockError() {
+    this.isLockUnavailable = true;
+  }
+
+  /**
+   * Clears held keys on focus loss, since their keyup events will not arrive
+   */
+  handleBlur() {
+    this.pressedKeys.clear();
+    this.active = false;
+    this.isPauseHeld = false;
+    this.releaseTrigger();
+  }
+
+  // ==== Helpers ====
+  /**
+   * Reports keyboard or mouse input as a stick press and drag, at most once per interval
+   * @param {string} stick - Stick the input stands in for ('move' or 'look')
+   */
+  reportInput(stick) {
+    const now = performance.now();
+    if (
+      now - this.lastInputEventTime[stick] <
+      this.config.INPUT_EVENT_INTERVAL
+    ) {
+      return;
+    }
+    this.lastInputEventTime[stick] = now;
+    this.eventBus.emit(JOYSTICK_MOVED_EVENT_NAME, { stick });
+  }
+
+  /**
+   * Releases the trigger if the mouse button is held
+   * A drag-to-look press never pulled the trigger, so it ends without a release
+   */
+  releaseTrigger() {
+    if (!this.isMouseDown) return;
+    this.isMouseDown = false;
+    if (this.pressStart) {
+      this.pressStart = null;
+      return;
+    }
+    this.eventBus.emit(FIRE_RELEASED_EVENT_NAME, { source: 'click' });
+  }
+
+  /**
+   * Drops all held input and leaves pointer lock, so the cursor can reach the end card
+   */
+  releaseInput() {
+    this.pressedKeys.clear();
+    this.active = false;
+    this.lookDelta.x = 0;
+    this.lookDelta.y = 0;
+    this.releaseTrigger();
+    if (this.isLocked) document.exitPointerLock();
+  }
+
+  /**
+   * Disposes of the desktop input
+   * Removes DOM and event bus listeners and leaves pointer lock
+   */
+  dispose() {
+    this.releaseInput();
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('pointerdown', this.handlePointerDown, true);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('touchstart', this.handleTouchStart, true);
+    window.removeEventListener('blur', this.handleBlur);
+    document.removeEventListener(
+      'pointerlockchange',
+      this.handlePointerLockChange
+    );
+    document.removeEventListener(
+      'pointerlockerror',
+      this.handlePointerLockError
+    );
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
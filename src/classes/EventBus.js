@@ -1,50 +1,79 @@
 /**
- * @fileoverview EventBus class implementing a singleton event system for game-wide communication.
- * Provides event registration, emission, and removal capabilities with priority-based ordering.
+ * @fileoverview EventBus class implementing a scoped event system for game-wide communication.
+ * Provides event registration, one-shot and wildcard listeners, emission and removal capabilities
+ * with priority-based ordering, plus an optional ring buffer of recent events for debugging.
  *
  * @author Alper Açık
  * @version 1.0.0
  */
 
+import { EVENT_CATALOG, ANY_EVENT_NAME } from '../helpers/EventNames';
+import { IS_DEV_MODE } from '../helpers/constants';
+
 /**
  * EventBus class for managing game events with priority-based ordering
- * Implements singleton pattern to ensure single instance across the application
+ * Each instance keeps its own listeners; GameManager owns one bus per game
  */
 export class EventBus {
   /**
-   * Creates a new EventBus instance or returns existing singleton instance
+   * Creates a new EventBus instance with no listeners
+   * @param {Object} [options] - Bus options
+   * @param {boolean} [options.validatePayloads=IS_DEV_MODE] - Warn about unknown events and malformed payloads
+   * @param {number} [options.historySize=0] - Number of recent events to keep (0 disables history)
    * @constructor
    */
-  constructor() {
-    if (EventBus._instance) {
-      return EventBus._instance;
-    }
-
-    EventBus._instance = this;
+  constructor({ validatePayloads = IS_DEV_MODE, historySize = 0 } = {}) {
+    /** @type {boolean} Flag enabling payload validation against EVENT_CATALOG */
+    this.validatePayloads = validatePayloads;
     /** @type {Object.<string, Array>} Event listeners storage: { eventName: [ {cb, order, seq} ] } */
     this._listeners = {};
     /** @type {number} Global incrementing sequence for tie-breaks in priority ordering */
     this._seq = 0;
 
-    return EventBus._instance;
+    this.setHistorySize(historySize);
   }
 
   /**
    * Register a listener for an event with optional priority ordering
-   * @param {string} event - Name of the event to listen for
+   * Listeners on ANY_EVENT_NAME ('*') run after the specific listeners of every event
+   * and receive the event name as their first argument
+   * @param {string} event - Name of the event to listen for, or '*' for all events
    * @param {Function} cb - Callback function to invoke when event is emitted
    * @param {number} [order=0] - Numeric priority (lower = earlier execution). Default 0.
+   * @returns {Function} Unsubscribe function removing this listener
    */
   on(event, cb, order = 0) {
     if (!this._listeners[event]) this._listeners[event] = [];
 
     // Push object with priority & registration sequence
-    this._listeners[event].push({ cb, order, seq: this._seq++ });
+    const listener = { cb, order, seq: this._seq++ };
+    this._listeners[event].push(listener);
 
     // Keep the array sorted by (order, seq)
     this._listeners[event].sort((a, b) =>
       a.order === b.order ? a.seq - b.seq : a.order - b.order
     );
+
+    return () => this.removeListener(event, listener);
+  }
+
+  /**
+   * Register a listener that is removed after its first invocation
+   * @param {string} event - Name of the event to listen for
+   * @param {Function} cb - Callback function to invoke once
+   * @param {number} [order=0] - Numeric priority (lower = earlier execution). Default 0.
+   * @returns {Function} Unsubscribe function removing the listener before it fires
+   */
+  once(event, cb, order = 0) {
+    const unsubscribe = this.on(
+      event,
+      (...args) => {
+        unsubscribe();
+        cb(...args);
+      },
+      order
+    );
+    return unsubscribe;
   }
 
   /**
@@ -57,14 +86,164 @@ export class EventBus {
     this._listeners[event] = this._listeners[event].filter((l) => l.cb !== cb);
   }
 
+  /**
+   * Remove a single registered listener entry
+   * @param {string} event - Name of the event the listener belongs to
+   * @param {Object} listener - Listener entry created by on()
+   * @private
+   */
+  removeListener(event, listener) {
+    if (!this._listeners[event]) return;
+    this._listeners[event] = this._listeners[event].filter(
+      (l) => l !== listener
+    );
+  }
+
+  /**
+   * Remove all listeners of one event, or of every event when no name is given
+   * @param {string} [event] - Name of the event to clear
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners = {};
+    } else {
+      delete this._listeners[event];
+    }
+  }
+
+  /**
+   * Remove every listener from the bus
+   */
+  clear() {
+    this.removeAllListeners();
+  }
+
   /**
    * Emit an event to all registered listeners
    * @param {string} event - Name of the event to emit
    * @param {...*} args - Arguments to pass to the callback functions
    */
   emit(event, ...args) {
-    if (!this._listeners[event]) return;
+    if (this.validatePayloads) this.validate(event, args);
+    if (this._historySize > 0) this.record(event, args);
+
     // Slice → protect against listeners added/removed during emit
-    for (const { cb } of this._listeners[event].slice()) cb(...args);
+    if (this._listeners[event]) {
+      for (const { cb } of this._listeners[event].slice()) cb(...args);
+    }
+    if (this._listeners[ANY_EVENT_NAME]) {
+      for (const { cb } of this._listeners[ANY_EVENT_NAME].slice()) {
+        cb(event, ...args);
+      }
+    }
+  }
+
+  /**
+   * Sets the capacity of the event history ring buffer
+   * Existing history is discarded
+   * @param {number} size - Number of recent events to keep (0 disables history)
+   */
+  setHistorySize(size) {
+    /** @type {number} Capacity of the history ring buffer */
+    this._historySize = Math.max(0, size);
+    /** @type {Array<Object>} Ring buffer of { event, args, timestamp } entries */
+    this._history = new Array(this._historySize);
+    /** @type {number} Index the next entry is written to */
+    this._historyIndex = 0;
+    /** @type {number} Number of entries currently stored */
+    this._historyCount = 0;
+  }
+
+  /**
+   * Stores an emission in the history ring buffer, overwriting the oldest entry when full
+   * @param {string} event - Name of the emitted event
+   * @param {Array} args - Arguments passed to emit()
+   * @private
+   */
+  record(event, args) {
+    this._history[this._historyIndex] = {
+      event,
+      args,
+      timestamp: performance.now(),
+    };
+    this._historyIndex = (this._historyIndex + 1) % this._historySize;
+    this._historyCount = Math.min(this._historyCount + 1, this._historySize);
+  }
+
+  /**
+   * Gets the recorded events, oldest first
+   * @returns {Array<Object>} Entries of { event, args, timestamp }
+   */
+  getHistory() {
+    const start =
+      (this._historyIndex - this._historyCount + this._historySize) %
+      this._historySize;
+    const history = [];
+    for (let i = 0; i < this._historyCount; i++) {
+      history.push(this._history[(start + i) % this._historySize]);
+    }
+    return history;
+  }
+
+  /**
+   * Prints the recorded events as a table in the console
+   */
+  dumpHistory() {
+    console.table(
+      this.getHistory().map(({ event, args, timestamp }) => ({
+        time: (timestamp / 1000).toFixed(3),
+        event,
+        payload: args.length > 0 ? JSON.stringify(args[0]) : '',
+      }))
+    );
+  }
+
+  /**
+   * Clears the recorded events
+   */
+  clearHistory() {
+    this._historyIndex = 0;
+    this._historyCount = 0;
+  }
+
+  /**
+   * Checks an emission against EVENT_CATALOG and warns about mismatches
+   * @param {string} event - Name of the emitted event
+   * @param {Array} args - Arguments passed to emit()
+   * @private
+   */
+  validate(event, args) {
+    if (!(event in EVENT_CATALOG)) {
+      console.warn(`[EventBus] Unknown event "${event}"`);
+      return;
+    }
+
+    const schema = EVENT_CATALOG[event];
+    if (schema === null) {
+      if (args.length > 0) {
+        console.warn(`[EventBus] "${event}" expects no payload`, args);
+      }
+      return;
+    }
+
+    const [payload] = args;
+    if (args.length !== 1 || typeof payload !== 'object' || payload === null) {
+      console.warn(`[EventBus] "${event}" expects one payload object`, args);
+      return;
+    }
+
+    Object.entries(schema).forEach(([key, type]) => {
+      const value = payload[key];
+      const isValid = Array.isArray(type)
+        ? type.includes(value)
+        : typeof value === type && value !== null;
+      if (!isValid) {
+        const expected = Array.isArray(type) ? type.join(' | ') : type;
+        console.warn(
+          `[EventBus] "${event}" payload field "${key}" should be ${expected}`,
+          payload
+        );
+      }
+    });
   }
 }
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Game class representing the main game logic and scene management.
- * Handles game state, target hit detection, rotation updates, and game reset functionality.
+ * Handles game state, target hit detection with weapon spread, rotation and recoil updates,
+ * the time-attack countdown, survival wave failure, and game reset functionality.
  *
  * @author Alper Açık
  * @version 1.0.0
@@ -11,13 +12,29 @@ import {
   GAME_CONFIG,
   COLORS,
   X_AXIS_VECTOR,
+  GAME_RESULTS,
+  GAME_OVER_REASONS,
+  HIT_ZONES,
+  SPREAD_CONFIG,
+  CURRENT_TARGET_CONFIG_NAME,
+  GAME_MODES,
+  CURRENT_GAME_MODE,
   getEffectiveKillCountToWin,
+  getTimeLimit,
 } from '../helpers/constants';
 import {
+  GAME_STARTED_EVENT_NAME,
   GAME_OVER_EVENT_NAME,
   PLAY_AGAIN_EVENT_NAME,
   KILL_COUNT_UPDATE_EVENT_NAME,
+  TIMER_UPDATE_EVENT_NAME,
+  TARGET_HIT_EVENT_NAME,
+  TARGET_ELIMINATED_EVENT_NAME,
 } from '../helpers/EventNames';
+import { disposeObject3D } from '../helpers/utils';
+
+/** Screen center in normalized device coordinates */
+const SCREEN_CENTER = new THREE.Vector2(0, 0);
 
 /**
  * Game class managing the main game logic, scene, and game state
@@ -40,8 +57,33 @@ export class Game {
     this.clock = new THREE.Clock();
     /** @type {THREE.Raycaster} Raycaster for hit detection */
     this.raycaster = new THREE.Raycaster();
+    /** @type {THREE.Vector3} Scratch vector for the spread ray direction */
+    this.spreadDirection = new THREE.Vector3();
+    /** @type {number} Recoil pitch still to be recovered in radians */
+    this.recoilPitch = 0;
     /** @type {number} Current kill count for win condition tracking */
     this.killCount = 0;
+    /** @type {number} Shots fired during the current round */
+    this.shotsFired = 0;
+    /** @type {number} Shots that hit a target during the current round */
+    this.hits = 0;
+    /** @type {number} Hits in the HEAD zone during the current round */
+    this.headshots = 0;
+    /** @type {number} Time spent in the current round in seconds */
+    this.elapsedTime = 0;
+    /** @type {number|null} Time-attack round duration in seconds, null in other modes */
+    this.timeLimit =
+      CURRENT_GAME_MODE === GAME_MODES.TIME_ATTACK ? getTimeLimit() : null;
+    /** @type {number|null} Last whole second announced with the timer event */
+    this.announcedSecond = null;
+    /** @type {WaveController|null} Survival wave cycle, null in other modes */
+    this.waveController = null;
+    /** @type {ScoreSystem|null} Score and combo tracking */
+    this.scoreSystem = null;
+    /** @type {IdleWatcher|null} Inactivity and session limits forcing the end card */
+    this.idleWatcher = null;
+    /** @type {AimAssist|null} Look slowdown and pull near targets */
+    this.aimAssist = null;
 
     this.setupScene();
     this.setupLights();
@@ -124,74 +166,329 @@ export class Game {
    * Handles play again requests and target configuration changes
    */
   setupEventListeners() {
-    this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
-      this.resetGame();
-      this.playerController.resetToInitialState();
-      this.targetController.resetTargets();
-    });
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.resetGame();
+        this.playerController.resetToInitialState();
+        this.targetController.resetTargets();
+      }),
+    ];
   }
 
   /**
    * Resets the game state to initial values
-   * Clears game over flag, resets rotation and kill count
+   * Clears game over flag, resets rotation, kill count and round statistics
    */
   resetGame() {
     this.isGameOver = false;
     this.rotationState.yaw = 0;
     this.rotationState.pitch = 0;
+    this.recoilPitch = 0;
     this.killCount = 0;
-    this.eventBus.emit(KILL_COUNT_UPDATE_EVENT_NAME, this.killCount);
+    this.shotsFired = 0;
+    this.hits = 0;
+    this.headshots = 0;
+    this.elapsedTime = 0;
+    this.announcedSecond = null;
+    this.eventBus.emit(KILL_COUNT_UPDATE_EVENT_NAME, {
+      killCount: this.killCount,
+      killCountToWin: getEffectiveKillCountToWin(),
+    });
+    if (this.timeLimit !== null) this.updateCountdown();
+  }
+
+  /**
+   * Starts a new round and announces it on the event bus
+   */
+  startRound() {
+    this.eventBus.emit(GAME_STARTED_EVENT_NAME, {
+      configName: CURRENT_TARGET_CONFIG_NAME,
+    });
+  }
+
+  /**
+   * Advances the round timer, recovers recoil, runs the time-attack countdown
+   * or the survival waves and checks the idle limits
+   * @param {number} delta - Time delta in seconds
+   */
+  update(delta) {
+    if (this.isGameOver) return;
+    this.elapsedTime += delta;
+    this.updateRecoil(delta);
+    this.scoreSystem?.update(delta);
+    if (this.timeLimit !== null) this.updateCountdown();
+
+    if (this.waveController) {
+      this.waveController.update(delta);
+      if (this.waveController.hasFailed()) {
+        this.endGame(GAME_RESULTS.LOSE, GAME_OVER_REASONS.WAVE_FAILED);
+      }
+    }
+
+    // Checked last, so a round already lost this frame is not ended twice
+    if (this.idleWatcher && !this.isGameOver) {
+      this.idleWatcher.update(delta);
+      if (this.idleWatcher.hasTimedOut()) {
+        this.endGame(GAME_RESULTS.LOSE, this.idleWatcher.getTimeoutReason());
+      }
+    }
+  }
+
+  /**
+   * Gets the time left on the time-attack clock
+   * @returns {number|null} Remaining seconds, or null outside time-attack mode
+   */
+  getRemainingTime() {
+    if (this.timeLimit === null) return null;
+    return Math.max(0, this.timeLimit - this.elapsedTime);
+  }
+
+  /**
+   * Announces each new whole second of the countdown and ends the round when it runs out
+   */
+  updateCountdown() {
+    const remainingTime = this.getRemainingTime();
+    const second = Math.ceil(remainingTime);
+    if (second !== this.announcedSecond) {
+      this.announcedSecond = second;
+      this.eventBus.emit(TIMER_UPDATE_EVENT_NAME, {
+        remainingTime: second,
+        timeLimit: this.timeLimit,
+      });
+    }
+
+    if (remainingTime === 0) {
+      this.endGame(GAME_RESULTS.LOSE, GAME_OVER_REASONS.TIME_UP);
+    }
+  }
+
+  /**
+   * Gets the statistics of the current round
+   * @returns {GameStats} Round statistics
+   */
+  getStats() {
+    return {
+      killCount: this.killCount,
+      shotsFired: this.shotsFired,
+      hits: this.hits,
+      headshots: this.headshots,
+      misses: this.shotsFired - this.hits,
+      accuracy: this.shotsFired > 0 ? this.hits / this.shotsFired : 0,
+      elapsedTime: this.elapsedTime,
+      score: this.scoreSystem ? this.scoreSystem.getScore() : 0,
+      remainingTime: this.getRemainingTime(),
+      wave: this.waveController ? this.waveController.getWave() : null,
+    };
+  }
+
+  /**
+   * Ends the round and emits the game over event
+   * @param {string} result - One of the GAME_RESULTS values
+   * @param {string} reason - One of the GAME_OVER_REASONS values
+   */
+  endGame(result, reason) {
+    this.isGameOver = true;
+    this.eventBus.emit(GAME_OVER_EVENT_NAME, {
+      result,
+      reason,
+      stats: this.getStats(),
+    });
   }
 
   /**
-   * Updates camera rotation based on joystick input
-   * @param {Object} joystickInput - Joystick input values {x, y}
-   * @param {number} delta - Time delta for smooth rotation
+   * Updates camera rotation from the look input of the frame's input snapshot
+   * Aim assist, when set, slows touch and gyro aiming down and pulls toward a target near the crosshair
+   * @param {Object} look - Rotation deltas in radians {yaw, pitch}
+   * @param {string|null} lookSource - InputManager source that drove the look input, or null
+   * @param {boolean} isAiming - Whether the look joystick is held or gyro aiming is on
+   * @param {number} delta - Time delta in seconds
    */
-  updateRotation(joystickInput, delta) {
-    this.rotationState.yaw -=
-      joystickInput.x * delta * GAME_CONFIG.ROTATION_SPEED;
-    this.rotationState.pitch -=
-      joystickInput.y * delta * GAME_CONFIG.ROTATION_SPEED;
+  updateRotation(look, lookSource, isAiming, delta) {
+    const rotation =
+      this.aimAssist && this.targetController
+        ? this.aimAssist.apply(
+            look,
+            lookSource,
+            isAiming,
+            this.targetController.getTargets(),
+            delta
+          )
+        : look;
+    this.rotateBy(rotation.yaw, rotation.pitch);
+  }
+
+  /**
+   * Turns the camera by the given angles, keeping the pitch within its clamp
+   * @param {number} yawDelta - Yaw change in radians
+   * @param {number} pitchDelta - Pitch change in radians
+   */
+  rotateBy(yawDelta, pitchDelta) {
+    this.rotationState.yaw += yawDelta;
+    this.rotationState.pitch += pitchDelta;
     this.rotationState.pitch = Math.max(
       -GAME_CONFIG.PITCH_CLAMP,
       Math.min(GAME_CONFIG.PITCH_CLAMP, this.rotationState.pitch)
     );
   }
 
+  /**
+   * Kicks the camera pitch up by the weapon recoil
+   * Only the pitch actually applied (after clamping) is recovered later
+   * @param {number} kick - Pitch kick in radians
+   */
+  applyRecoil(kick) {
+    const pitch = Math.min(
+      GAME_CONFIG.PITCH_CLAMP,
+      this.rotationState.pitch + kick
+    );
+    this.recoilPitch += pitch - this.rotationState.pitch;
+    this.rotationState.pitch = pitch;
+  }
+
+  /**
+   * Pulls the camera pitch back down by the outstanding recoil
+   * @param {number} delta - Time delta in seconds
+   */
+  updateRecoil(delta) {
+    if (this.recoilPitch <= 0) return;
+
+    const recovery = Math.min(
+      this.recoilPitch,
+      SPREAD_CONFIG.RECOIL_RECOVERY_RATE * delta
+    );
+    this.recoilPitch -= recovery;
+    this.rotationState.pitch = Math.max(
+      -GAME_CONFIG.PITCH_CLAMP,
+      this.rotationState.pitch - recovery
+    );
+  }
+
+  /**
+   * Casts a ray from the camera center and returns the first live target hit
+   * With a spread, the ray is tilted by a random angle inside the spread cone
+   * Targets playing their elimination animation are still visible but no longer count
+   * @param {THREE.Camera} camera - Camera to cast ray from
+   * @param {Array<THREE.Object3D>} targets - Array of target objects to check
+   * @param {number} [spread=0] - Spread cone half-angle in radians
+   * @returns {Object|null} The raycaster intersection on a live target, or null
+   */
+  raycastTarget(camera, targets, spread = 0) {
+    this.raycaster.setFromCamera(SCREEN_CENTER, camera);
+    if (spread > 0) {
+      // sqrt keeps the samples uniformly distributed over the cone's disc
+      const angle = Math.random() * Math.PI * 2;
+      const offset = Math.tan(spread * Math.sqrt(Math.random()));
+      this.spreadDirection
+        .set(Math.cos(angle) * offset, Math.sin(angle) * offset, -1)
+        .normalize()
+        .transformDirection(camera.matrixWorld);
+      this.raycaster.ray.direction.copy(this.spreadDirection);
+    }
+    const intersects = this.raycaster.intersectObjects(targets, true);
+    const target = intersects[0]?.object.parent;
+
+    if (target?.visible && !target.userData.eliminated) {
+      return intersects[0];
+    }
+    return null;
+  }
+
   /**
    * Checks for target hits using raycasting from camera center
+   * Used by auto-fire mode: fires only when a target is under the crosshair,
+   * but the shot itself follows the spread cone and may miss
    * @param {THREE.Camera} camera - Camera to cast ray from
    * @param {Array<THREE.Object3D>} targets - Array of target objects to check
-   * @returns {boolean} True if a hit was detected, false otherwise
+   * @returns {boolean} True if the shot hit a target, false otherwise
    */
   checkTargetHits(camera, targets) {
-    if (!this.playerController?.isWeaponReady()) return;
+    if (!this.playerController?.isWeaponReady()) return false;
+    if (!this.raycastTarget(camera, targets)) return false; // Nothing under the crosshair
 
-    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
-    const intersects = this.raycaster.intersectObjects(targets, true);
+    const hit = this.raycastTarget(
+      camera,
+      targets,
+      this.playerController.getSpread()
+    );
+    this.shoot(hit);
+    return hit !== null;
+  }
 
-    if (intersects.length > 0) {
-      const firstHit = intersects[0];
-      if (firstHit.object.parent.visible) {
-        const targetEliminated = this.targetController.onHit(
-          firstHit.object.parent
-        );
-        if (targetEliminated) {
-          this.killCount++;
-          this.eventBus.emit(KILL_COUNT_UPDATE_EVENT_NAME, this.killCount);
-
-          // Check if kill count reached the effective win condition
-          if (this.killCount >= getEffectiveKillCountToWin()) {
-            this.isGameOver = true;
-            this.eventBus.emit(GAME_OVER_EVENT_NAME);
-          }
-        }
-        this.playerController.fireWeapon();
-        return true; // Hit detected
-      }
+  /**
+   * Fires the weapon at whatever is under the crosshair
+   * Used by manual fire mode: shots at empty space are counted as misses
+   * @param {THREE.Camera} camera - Camera to cast ray from
+   * @param {Array<THREE.Object3D>} targets - Array of target objects to check
+   * @returns {boolean} True if the shot hit a target, false on a miss or when the weapon is not ready
+   */
+  fireAt(camera, targets) {
+    if (!this.playerController?.isWeaponReady()) return false;
+
+    const hit = this.raycastTarget(
+      camera,
+      targets,
+      this.playerController.getSpread()
+    );
+    this.shoot(hit);
+    return hit !== null;
+  }
+
+  /**
+   * Fires one shot, applying damage when it hit a target
+   * Damage is the weapon damage scaled by the multiplier of the hit zone
+   * Updates round statistics, emits hit/elimination events and checks the win condition
+   * @param {Object|null} hit - Raycaster intersection on a target, or null for a miss
+   */
+  shoot(hit) {
+    this.shotsFired++;
+    this.applyRecoil(this.playerController.getCurrentWeapon().recoil);
+
+    if (!hit) {
+      this.playerController.fireWeapon(false);
+      return;
+    }
+
+    const target = hit.object.parent;
+    const zone = this.targetController.resolveHitZone(hit);
+    const isHeadshot = zone === HIT_ZONES.HEAD;
+    const damage =
+      this.playerController.getCurrentWeapon().damage * zone.damageMultiplier;
+    const targetEliminated = this.targetController.onHit(target, damage);
+
+    this.hits++;
+    if (isHeadshot) this.headshots++;
+    this.eventBus.emit(TARGET_HIT_EVENT_NAME, {
+      targetId: target.userData.id,
+      damage,
+      remainingHp: target.userData.hp,
+      hitPoint: hit.point.clone(),
+      distance: hit.distance,
+      zone: zone.name,
+      isHeadshot,
+    });
+
+    if (targetEliminated) {
+      this.killCount++;
+      this.eventBus.emit(TARGET_ELIMINATED_EVENT_NAME, {
+        targetId: target.userData.id,
+        killCount: this.killCount,
+      });
+      this.eventBus.emit(KILL_COUNT_UPDATE_EVENT_NAME, {
+        killCount: this.killCount,
+        killCountToWin: getEffectiveKillCountToWin(),
+      });
+    }
+    this.playerController.fireWeapon(true);
+
+    // Check if kill count reached the effective win condition (survival has none)
+    if (
+      targetEliminated &&
+      !this.waveController &&
+      this.killCount >= getEffectiveKillCountToWin()
+    ) {
+      this.endGame(GAME_RESULTS.WIN, GAME_OVER_REASONS.KILLS);
     }
-    return false; // No hit
   }
 
   /**
@@ -210,6 +507,38 @@ export class Game {
     this.targetController = targetController;
   }
 
+  /**
+   * Sets the survival wave controller; the round then ends only on a failed wave
+   * @param {WaveController} waveController - Wave controller instance
+   */
+  setWaveController(waveController) {
+    this.waveController = waveController;
+  }
+
+  /**
+   * Sets the score system whose score is reported in the round statistics
+   * @param {ScoreSystem} scoreSystem - Score system instance
+   */
+  setScoreSystem(scoreSystem) {
+    this.scoreSystem = scoreSystem;
+  }
+
+  /**
+   * Sets the idle watcher; the round then also ends on its idle or session limit
+   * @param {IdleWatcher} idleWatcher - Idle watcher instance
+   */
+  setIdleWatcher(idleWatcher) {
+    this.idleWatcher = idleWatcher;
+  }
+
+  /**
+   * Sets the aim assist applied in the rotation update
+   * @param {AimAssist} aimAssist - Aim assist instance
+   */
+  setAimAssist(aimAssist) {
+    this.aimAssist = aimAssist;
+  }
+
   /**
    * Gets the main scene
    * @returns {THREE.Scene} The main game scene
@@ -233,4 +562,20 @@ export class Game {
   getRotationState() {
     return this.rotationState;
   }
+
+  /**
+   * Disposes of the scene and all GPU resources it holds
+   * Removes event listeners and releases controller references
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    disposeObject3D(this.scene);
+    this.scene.clear();
+    this.playerController = null;
+    this.targetController = null;
+    this.waveController = null;
+    this.scoreSystem = null;
+    this.idleWatcher = null;
+    this.aimAssist = null;
+  }
 }
@@ -7,12 +7,40 @@
  */
 
 import * as THREE from 'three';
-import { CURRENT_TARGET_CONFIG } from '../helpers/constants';
+import { SkeletonUtils } from 'three/examples/jsm/Addons.js';
+import {
+  CURRENT_TARGET_CONFIG,
+  GAME_CONFIG,
+  DEBUG_CONFIG,
+  PAUSE_REASONS,
+  FIRE_MODES,
+  CURRENT_FIRE_MODE,
+  GAME_MODES,
+  CURRENT_GAME_MODE,
+  WEAPON_DEFINITIONS,
+  WEAPON_LOADOUT,
+  INPUT_SOURCE_PRIORITIES,
+} from '../helpers/constants';
+import {
+  GAME_PAUSED_EVENT_NAME,
+  GAME_RESUMED_EVENT_NAME,
+} from '../helpers/EventNames';
 import { Game } from './Game';
 import { Renderer } from './Renderer';
 import { PlayerController } from './PlayerController';
 import { TargetController } from './TargetController';
+import { WaveController } from './WaveController';
+import { ScoreSystem } from './ScoreSystem';
+import { RecordsStore } from './RecordsStore';
+import { Tutorial } from './Tutorial';
+import { IdleWatcher } from './IdleWatcher';
+import { AimAssist } from './AimAssist';
 import { Joystick } from './Joystick';
+import { DesktopInput } from './DesktopInput';
+import { GamepadInput } from './GamepadInput';
+import { GyroInput } from './GyroInput';
+import { SyntheticInput } from './SyntheticInput';
+import { InputManager } from './InputManager';
 import { GameUIOverlay } from './GameUIOverlay';
 import { AssetLoader } from './AssetLoader';
 import { EventBus } from './EventBus';
@@ -30,19 +58,57 @@ export class GameManager {
   constructor(enableDebug = false) {
     /** @type {boolean} Debug mode flag for development features */
     this.enableDebug = enableDebug;
-    /** @type {EventBus} Central event bus for game-wide communication */
-    this.eventBus = new EventBus();
+    /** @type {EventBus} Event bus scoped to this game instance, recording history in debug mode */
+    this.eventBus = new EventBus({
+      historySize: enableDebug ? DEBUG_CONFIG.EVENT_HISTORY_SIZE : 0,
+    });
     /** @type {Game} Main game logic and scene management */
     this.game = new Game(this.eventBus);
     /** @type {Renderer} WebGL renderer and viewport management */
     this.renderer = new Renderer();
     /** @type {GameUIOverlay} UI overlay for game interface */
     this.gameUIOverlay = new GameUIOverlay(this.eventBus);
+    /** @type {ScoreSystem} Round score and combo tracking */
+    this.scoreSystem = new ScoreSystem(this.eventBus);
+    this.game.setScoreSystem(this.scoreSystem);
+    /** @type {RecordsStore} Best results and lifetime statistics, persisted across sessions */
+    this.recordsStore = new RecordsStore(this.eventBus);
+    /** @type {Tutorial} First-play control hints, inactive once completed */
+    this.tutorial = new Tutorial(this.eventBus);
 
     /** @type {Joystick} Left joystick for movement control (multi-touch supported) */
-    this.moveJoystick = new Joystick(this.eventBus, true);
-    /** @type {Joystick} Right joystick for rotation control (multi-touch supported) */
-    this.rotateJoystick = new Joystick(this.eventBus, false);
+    this.moveJoystick = new Joystick(this.eventBus, 'move', true);
+    /** @type {string} Active fire mode, one of the FIRE_MODES values */
+    this.fireMode = CURRENT_FIRE_MODE;
+    /** @type {Joystick} Right joystick for rotation control (multi-touch supported), taps fire in manual mode */
+    this.rotateJoystick = new Joystick(
+      this.eventBus,
+      'look',
+      false,
+      this.fireMode === FIRE_MODES.MANUAL
+    );
+    /** @type {DesktopInput} Keyboard movement, pointer-lock mouse look and click to fire */
+    this.desktopInput = new DesktopInput(
+      this.eventBus,
+      this.renderer.getRenderer().domElement
+    );
+    /** @type {GamepadInput} Controller sticks and buttons, polled every frame */
+    this.gamepadInput = new GamepadInput(this.eventBus);
+    /** @type {IdleWatcher} Inactivity hint and end card limits, fed by every input source */
+    this.idleWatcher = new IdleWatcher(this.eventBus, [
+      this.moveJoystick,
+      this.rotateJoystick,
+      this.desktopInput,
+      this.gamepadInput,
+    ]);
+    this.game.setIdleWatcher(this.idleWatcher);
+    /** @type {GyroInput} Device orientation aiming, blended with the look joystick */
+    this.gyroInput = new GyroInput(this.eventBus);
+    /** @type {SyntheticInput} Scripted input for tests and the debug console */
+    this.syntheticInput = new SyntheticInput();
+    /** @type {InputManager} Per-frame snapshot of every input source */
+    this.inputManager = new InputManager(this.eventBus);
+    this.registerInputSources();
 
     /** @type {AssetLoader} Asset loading and management system */
     this.assetLoader = new AssetLoader();
@@ -50,9 +116,29 @@ export class GameManager {
     this.playerController = null;
     /** @type {TargetController|null} Target controller instance */
     this.targetController = null;
+    /** @type {WaveController|null} Survival wave controller, created in survival mode only */
+    this.waveController = null;
+    /** @type {AimAssist|null} Aim assist, created with the player camera */
+    this.aimAssist = null;
+    /** @type {boolean} Flag indicating if start() has been requested */
+    this.isStartRequested = false;
+    /** @type {boolean} Flag indicating if the game loop is currently running */
+    this.isRunning = false;
+    /** @type {boolean} Flag indicating if the game loop is paused */
+    this.isPaused = false;
+    /** @type {Set<string>} Active pause reasons; the game runs only when empty */
+    this.pauseReasons = new Set();
+    /** @type {number|null} Handle of the pending animation frame request */
+    this.animationFrameId = null;
+    /** @type {number|null} Handle of the animation frame polling input while paused */
+    this.pausedInputFrameId = null;
+    /** @type {boolean} Flag indicating if dispose() has been called */
+    this.isDisposed = false;
 
     this.setupResizeHandling();
     this.setupAssetLoading();
+    this.setupVisibilityHandling();
+    this.setupDebugConsole();
   }
 
   /**
@@ -65,6 +151,68 @@ export class GameManager {
     });
   }
 
+  /**
+   * Sets up page visibility handling
+   * Pauses the game while the tab is hidden and resumes when it is shown again
+   */
+  setupVisibilityHandling() {
+    this.visibilityChangeHandler = () => {
+      if (document.hidden) {
+        this.pause(PAUSE_REASONS.VISIBILITY);
+      } else {
+        this.resume(PAUSE_REASONS.VISIBILITY);
+      }
+    };
+    document.addEventListener('visibilitychange', this.visibilityChangeHandler);
+
+    // The page may already be hidden (e.g. preloaded in a background tab)
+    this.visibilityChangeHandler();
+  }
+
+  /**
+   * Registers the joysticks, gyro, keyboard and mouse, gamepad and synthetic input with the input manager
+   * Priorities come from INPUT_SOURCE_PRIORITIES; the highest source driving an action wins
+   */
+  registerInputSources() {
+    const sources = {
+      moveJoystick: this.moveJoystick,
+      lookJoystick: this.rotateJoystick,
+      gyro: this.gyroInput,
+      desktop: this.desktopInput,
+      gamepad: this.gamepadInput,
+      synthetic: this.syntheticInput,
+    };
+    Object.entries(sources).forEach(([id, source]) => {
+      this.inputManager.registerSource(id, source, INPUT_SOURCE_PRIORITIES[id]);
+    });
+  }
+
+  /**
+   * Exposes debugging helpers on window when debug mode is enabled
+   * `polygunDebug.dumpEvents()` prints the recent event history as a table,
+   * `polygunDebug.clearRecords()` deletes the saved best results,
+   * `polygunDebug.resetTutorial()` shows the tutorial again on the next round,
+   * `polygunDebug.input` drives the game with scripted input (e.g. `input.setMove(0, -1)`),
+   * `polygunDebug.tap('reload')` presses a button for one frame,
+   * `polygunDebug.gyro.setEnabled(true)` turns on gyro aiming,
+   * `polygunDebug.showAimAssist(false)` hides the aim assist cone
+   */
+  setupDebugConsole() {
+    if (!this.enableDebug) return;
+
+    window.polygunDebug = {
+      gameManager: this,
+      eventBus: this.eventBus,
+      dumpEvents: () => this.eventBus.dumpHistory(),
+      clearRecords: () => this.recordsStore.clear(),
+      resetTutorial: () => this.tutorial.reset(),
+      input: this.syntheticInput,
+      tap: (action) => this.inputManager.tap(action),
+      gyro: this.gyroInput,
+      showAimAssist: (visible) => this.aimAssist?.setDebugVisible(visible),
+    };
+  }
+
   /**
    * Sets up asset loading completion callback
    * Initializes game components once all assets are loaded
@@ -98,10 +246,12 @@ export class GameManager {
    * Creates player and target controllers and starts the game loop
    */
   initializeGame() {
+    // Textures finish loading asynchronously and may complete after dispose()
+    if (this.isDisposed) return;
+
     this.playerController = new PlayerController(
       this.game.getScene(),
-      this.assetLoader.getFBX('mergedFBXBase64'),
-      this.assetLoader.getFBX('mergedAnimFBXBase64'),
+      this.createWeaponLoadout(),
       this.enableDebug,
       this.renderer.getRenderer(),
       this.game.raycaster,
@@ -120,7 +270,59 @@ export class GameManager {
     this.game.setPlayerController(this.playerController);
     this.game.setTargetController(this.targetController);
 
-    this.startGameLoop();
+    this.aimAssist = new AimAssist(
+      this.playerController.getCamera(),
+      this.enableDebug
+    );
+    this.game.setAimAssist(this.aimAssist);
+
+    if (CURRENT_GAME_MODE === GAME_MODES.SURVIVAL) {
+      this.waveController = new WaveController(
+        this.targetController,
+        this.eventBus
+      );
+      this.game.setWaveController(this.waveController);
+    }
+
+    if (this.isStartRequested && !this.isPaused) {
+      this.startGameLoop();
+    }
+  }
+
+  /**
+   * Resolves the assets of every weapon in WEAPON_LOADOUT
+   * A model asset used by more than one weapon is cloned, so each weapon owns its scene graph
+   * @returns {Array<Object>} Loadout entries { id, definition, model, animationObj }
+   */
+  createWeaponLoadout() {
+    const usedModels = new Set();
+
+    return WEAPON_LOADOUT.map((id) => {
+      const definition = WEAPON_DEFINITIONS[id];
+      const sourceModel = this.assetLoader.getFBX(definition.modelAssetKey);
+      const model = usedModels.has(sourceModel)
+        ? SkeletonUtils.clone(sourceModel)
+        : sourceModel;
+      usedModels.add(sourceModel);
+
+      return {
+        id,
+        definition,
+        model,
+        animationObj: this.assetLoader.getFBX(definition.animationAssetKey),
+      };
+    });
+  }
+
+  /**
+   * Requests the game to start
+   * The loop begins immediately if assets are loaded, otherwise once loading completes
+   */
+  start() {
+    this.isStartRequested = true;
+    if (this.playerController && !this.isRunning && !this.isPaused) {
+      this.startGameLoop();
+    }
   }
 
   /**
@@ -128,21 +330,100 @@ export class GameManager {
    * Continuously updates game state and renders the scene
    */
   startGameLoop() {
+    if (!this.isRunning) {
+      this.isRunning = true;
+      this.game.startRound();
+    }
     const animate = () => {
-      requestAnimationFrame(animate);
+      this.animationFrameId = requestAnimationFrame(animate);
       this.update();
     };
     animate();
   }
 
+  /**
+   * Pauses the game loop for the given reason
+   * Cancels the pending animation frame and stops the clock; emits a pause event
+   * the first time any reason becomes active
+   * @param {string} [reason=PAUSE_REASONS.MANUAL] - One of the PAUSE_REASONS values
+   */
+  pause(reason = PAUSE_REASONS.MANUAL) {
+    this.pauseReasons.add(reason);
+    if (this.isPaused) return;
+    this.isPaused = true;
+
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.game.getClock().stop();
+
+    this.eventBus.emit(GAME_PAUSED_EVENT_NAME, { reason });
+  }
+
+  /**
+   * Keeps sampling input while paused by the pause button, so the same button resumes
+   * Stops once the input pause reason is cleared
+   */
+  pollPausedInput() {
+    this.pausedInputFrameId = null;
+    if (!this.pauseReasons.has(PAUSE_REASONS.INPUT)) return;
+
+    if (this.inputManager.update(0).pause.pressed) {
+      this.resume(PAUSE_REASONS.INPUT);
+      return;
+    }
+    this.pausedInputFrameId = requestAnimationFrame(() =>
+      this.pollPausedInput()
+    );
+  }
+
+  /**
+   * Clears a pause reason and resumes the game loop once no reason remains
+   * The stopped clock restarts on the next getDelta(), so paused time is not simulated
+   * @param {string} [reason=PAUSE_REASONS.MANUAL] - One of the PAUSE_REASONS values
+   */
+  resume(reason = PAUSE_REASONS.MANUAL) {
+    this.pauseReasons.delete(reason);
+    if (!this.isPaused || this.pauseReasons.size > 0) return;
+    this.isPaused = false;
+
+    this.eventBus.emit(GAME_RESUMED_EVENT_NAME, { reason });
+
+    if (this.isRunning) {
+      this.startGameLoop();
+    } else if (this.isStartRequested) {
+      this.start();
+    }
+  }
+
   /**
    * Main update function called every frame
    * Updates all game systems, handles input, and renders the scene
    */
   update() {
-    const delta = this.game.getClock().getDelta();
+    // Clamp delta so a stalled or throttled frame cannot move everything at once
+    const delta = Math.min(
+      this.game.getClock().getDelta(),
+      GAME_CONFIG.MAX_FRAME_DELTA
+    );
+
+    // Sampled first, so every system sees the same input this frame
+    const input = this.inputManager.update(delta);
 
+    if (input.pause.pressed && !this.game.isGameOver) {
+      this.pause(PAUSE_REASONS.INPUT);
+      this.pollPausedInput();
+      return;
+    }
+
+    this.game.update(delta);
+    this.playerController.updateFiring(delta);
     this.playerController.updateMixer(delta);
+    this.gameUIOverlay.updateReloadProgress(
+      this.playerController.getReloadProgress()
+    );
+    this.gameUIOverlay.updateCrosshairSpread(this.playerController.getSpread());
     this.targetController.updateAnimations(delta);
     const camera = this.playerController.getCamera();
     // Render the scene
@@ -150,16 +431,11 @@ export class GameManager {
 
     if (this.game.isGameOver) return;
 
-    // Update rotation based on right joystick
-    this.game.updateRotation(this.rotateJoystick.joystickInput, delta);
-    this.rotateJoystick.resetJoystickInput();
-
-    // Update movement based on left joystick
-    const direction = new THREE.Vector3(
-      this.moveJoystick.joystickInput.x,
-      0,
-      this.moveJoystick.joystickInput.y
-    );
+    // Update rotation and movement from the winning look and move sources
+    // A held look joystick keeps aim assist engaged while the finger rests
+    const isAiming = this.rotateJoystick.active || this.gyroInput.enabled;
+    this.game.updateRotation(input.look, input.sources.look, isAiming, delta);
+    const direction = new THREE.Vector3(input.move.x, 0, input.move.y);
 
     this.playerController.update(
       direction,
@@ -167,15 +443,31 @@ export class GameManager {
       delta
     );
 
-    // Check for target hits
-    const hitDetected = this.game.checkTargetHits(
-      camera,
-      this.targetController.getTargets()
-    );
+    // Check for target hits: every frame in auto mode, from the trigger state in manual mode
+    let hitDetected = false;
+    if (this.fireMode === FIRE_MODES.AUTO) {
+      hitDetected = this.game.checkTargetHits(
+        camera,
+        this.targetController.getTargets()
+      );
+    } else {
+      if (input.fire.pressed) this.playerController.pullTrigger();
+      if (input.fire.released) this.playerController.releaseTrigger();
+      if (this.playerController.wantsToFire()) {
+        hitDetected = this.game.fireAt(
+          camera,
+          this.targetController.getTargets()
+        );
+      }
+    }
 
     if (hitDetected) {
       this.gameUIOverlay.showHitMarker();
     }
+
+    if (input.reload.pressed) {
+      this.playerController.requestReload();
+    }
   }
 
   /**
@@ -194,11 +486,54 @@ export class GameManager {
 
   /**
    * Disposes of all game resources and cleans up memory
-   * Should be called when the game is no longer needed
+   * Stops the game loop, removes every DOM and event listener, frees GPU resources
+   * and clears the event bus, so a new GameManager can be created afterwards
    */
   dispose() {
-    this.renderer.dispose();
+    if (this.isDisposed) return;
+    this.isDisposed = true;
+
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    if (this.pausedInputFrameId !== null) {
+      cancelAnimationFrame(this.pausedInputFrameId);
+      this.pausedInputFrameId = null;
+    }
+    this.isRunning = false;
+
+    document.removeEventListener(
+      'visibilitychange',
+      this.visibilityChangeHandler
+    );
+
+    this.playerController?.dispose();
+    this.waveController?.dispose();
+    this.targetController?.dispose();
+    this.aimAssist?.dispose();
+    this.game.dispose();
+    this.scoreSystem.dispose();
+    this.recordsStore.dispose();
+    this.tutorial.dispose();
+    this.idleWatcher.dispose();
+    this.inputManager.dispose();
+    this.moveJoystick.dispose();
+    this.desktopInput.dispose();
+    this.gamepadInput.dispose();
+    this.gyroInput.dispose();
+    this.rotateJoystick.dispose();
     this.gameUIOverlay.dispose();
-    // Add any other cleanup needed
+    this.renderer.dispose();
+    this.assetLoader.dispose();
+    this.eventBus.clear();
+    if (window.polygunDebug?.gameManager === this) {
+      delete window.polygunDebug;
+    }
+
+    this.playerController = null;
+    this.targetController = null;
+    this.waveController = null;
+    this.aimAssist = null;
   }
 }
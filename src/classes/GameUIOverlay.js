@@ -1,6 +1,7 @@
 /**
  * @fileoverview GameUIOverlay class managing all user interface elements for the game.
- * Handles crosshair, hit markers, kill counter, game over overlay, and app download buttons.
+ * Handles crosshair, hit markers, kill counter, score, countdown and survival wave counter,
+ * ammo and weapon HUD, game over summary card, and app download buttons.
  *
  * @author Alper Açık
  * @version 1.0.0
@@ -9,15 +10,53 @@
 import {
   GAME_OVER_EVENT_NAME,
   PLAY_AGAIN_EVENT_NAME,
+  PLAY_AGAIN_REQUESTED_EVENT_NAME,
   KILL_COUNT_UPDATE_EVENT_NAME,
-  SHOOTING_EVENT_NAME,
+  TIMER_UPDATE_EVENT_NAME,
+  WAVE_STARTED_EVENT_NAME,
+  WAVE_CLEARED_EVENT_NAME,
+  SCORE_UPDATE_EVENT_NAME,
+  RECORDS_UPDATED_EVENT_NAME,
+  WEAPON_FIRED_EVENT_NAME,
+  GAME_PAUSED_EVENT_NAME,
+  GAME_RESUMED_EVENT_NAME,
+  FIRE_REQUESTED_EVENT_NAME,
+  FIRE_RELEASED_EVENT_NAME,
+  WEAPON_RELOAD_STARTED_EVENT_NAME,
+  WEAPON_RELOADED_EVENT_NAME,
+  RELOAD_REQUESTED_EVENT_NAME,
+  WEAPON_SWITCH_REQUESTED_EVENT_NAME,
+  WEAPON_SWITCHED_EVENT_NAME,
+  WEAPON_INSPECT_REQUESTED_EVENT_NAME,
+  TARGET_HIT_EVENT_NAME,
+  IDLE_HINT_SHOWN_EVENT_NAME,
+  IDLE_HINT_HIDDEN_EVENT_NAME,
+  END_CARD_FORCED_EVENT_NAME,
+  INPUT_SCHEME_CHANGED_EVENT_NAME,
 } from '../helpers/EventNames';
 import {
+  GAME_CONFIG,
   UI_CONFIG,
   COLORS,
   APP_LINKS,
+  FIRE_MODES,
+  CURRENT_FIRE_MODE,
+  GAME_MODES,
+  CURRENT_GAME_MODE,
+  GAME_RESULTS,
+  GAME_OVER_REASONS,
+  INPUT_SCHEMES,
   getEffectiveKillCountToWin,
+  getTimeLimit,
+  getWaveSettings,
+  WEAPON_DEFINITIONS,
+  WEAPON_LOADOUT,
 } from '../helpers/constants';
+import { formatTime } from '../helpers/utils';
+import { CTAAdapter } from './adapters';
+
+/** Degrees to radians factor */
+const DEG_TO_RAD = Math.PI / 180;
 
 /**
  * GameUIOverlay class managing all game user interface elements
@@ -38,16 +77,67 @@ export class GameUIOverlay {
     this.androidAppLink = androidAppLink || APP_LINKS.ANDROID;
     /** @type {string} iOS app store link */
     this.iosAppLink = iosAppLink || APP_LINKS.IOS;
+    /** @type {CTAAdapter} Ad network adapter performing the Download CTA */
+    this.ctaAdapter = new CTAAdapter();
 
     this.createCrosshair();
     this.createHitMarker();
+    this.createHeadshotMarker();
     this.createKillCounter();
+    this.createScoreCounter();
+    if (CURRENT_GAME_MODE !== GAME_MODES.CLASSIC) {
+      this.createCountdown();
+    }
+    if (CURRENT_GAME_MODE === GAME_MODES.SURVIVAL) {
+      this.createWaveCounter();
+    }
+    this.createAmmoCounter();
+    this.createReloadButton();
+    this.createWeaponButton();
     this.createOverlay();
+    this.createPauseIndicator();
+    this.createIdleHint();
+    if (CURRENT_FIRE_MODE === FIRE_MODES.MANUAL) {
+      this.createFireButton();
+    }
     this.setupEventListeners();
 
     // Add window resize listener
     this.resizeHandler = this.resize.bind(this);
     window.addEventListener('resize', this.resizeHandler);
+
+    // Add reload and weapon slot key listener
+    this.keyDownHandler = this.handleKeyDown.bind(this);
+    window.addEventListener('keydown', this.keyDownHandler);
+  }
+
+  /**
+   * Handles keyboard shortcuts for HUD actions
+   * @param {KeyboardEvent} e - Keyboard event object
+   */
+  handleKeyDown(e) {
+    if (e.repeat) return;
+
+    if (e.code === 'KeyR') {
+      this.eventBus.emit(RELOAD_REQUESTED_EVENT_NAME, { source: 'key' });
+      return;
+    }
+
+    if (e.code === 'KeyF') {
+      this.eventBus.emit(WEAPON_INSPECT_REQUESTED_EVENT_NAME, {
+        source: 'key',
+      });
+      return;
+    }
+
+    // Digit1..DigitN select the loadout slots
+    const slot = e.code.startsWith('Digit') ? Number(e.code.slice(5)) : NaN;
+    if (slot >= 1 && slot <= WEAPON_LOADOUT.length) {
+      this.eventBus.emit(WEAPON_SWITCH_REQUESTED_EVENT_NAME, {
+        source: 'key',
+        index: slot - 1,
+      });
+    }
   }
 
   /**
@@ -55,19 +145,90 @@ export class GameUIOverlay {
    * Handles game over, kill count updates, shooting events, and target configuration changes
    */
   setupEventListeners() {
-    this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
-      setTimeout(() => {
-        this.showGameOverOverlay();
-      }, 500);
-    });
-
-    this.eventBus.on(KILL_COUNT_UPDATE_EVENT_NAME, (killCount) => {
-      this.updateKillCounter(killCount);
-    });
+    /** @type {number|null} Pending timeout showing the game over overlay */
+    this.gameOverTimeout = null;
+    /** @type {number|null} Pending timeout hiding the headshot marker */
+    this.headshotTimeout = null;
 
-    this.eventBus.on(SHOOTING_EVENT_NAME, () => {
-      this.animateCrosshairSpread();
-    });
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_OVER_EVENT_NAME, ({ result, reason, stats }) => {
+        this.hideIdleHint();
+        this.updateSummary(result, reason, stats);
+        this.gameOverTimeout = setTimeout(() => {
+          this.gameOverTimeout = null;
+          this.showGameOverOverlay();
+        }, 500);
+      }),
+      this.eventBus.on(TARGET_HIT_EVENT_NAME, ({ isHeadshot }) => {
+        if (isHeadshot) this.showHeadshotMarker();
+      }),
+      this.eventBus.on(KILL_COUNT_UPDATE_EVENT_NAME, ({ killCount }) => {
+        this.updateKillCounter(killCount);
+      }),
+      this.eventBus.on(TIMER_UPDATE_EVENT_NAME, ({ remainingTime }) => {
+        this.updateCountdown(remainingTime);
+      }),
+      this.eventBus.on(SCORE_UPDATE_EVENT_NAME, ({ score, multiplier }) => {
+        this.updateScoreCounter(score, multiplier);
+      }),
+      this.eventBus.on(RECORDS_UPDATED_EVENT_NAME, (records) => {
+        this.updateSummaryRecords(records);
+      }),
+      this.eventBus.on(WAVE_STARTED_EVENT_NAME, ({ wave }) => {
+        this.updateWaveCounter(wave);
+      }),
+      this.eventBus.on(WAVE_CLEARED_EVENT_NAME, ({ wave }) => {
+        this.showWaveCleared(wave);
+      }),
+      this.eventBus.on(WEAPON_FIRED_EVENT_NAME, ({ magAmmo, maxMagAmmo }) => {
+        this.animateCrosshairRecoil();
+        this.updateAmmoCounter(magAmmo, maxMagAmmo);
+      }),
+      this.eventBus.on(WEAPON_RELOAD_STARTED_EVENT_NAME, () => {
+        this.showReloadProgress();
+      }),
+      this.eventBus.on(
+        WEAPON_RELOADED_EVENT_NAME,
+        ({ magAmmo, maxMagAmmo }) => {
+          this.hideReloadProgress();
+          this.updateAmmoCounter(magAmmo, maxMagAmmo);
+        }
+      ),
+      this.eventBus.on(
+        WEAPON_SWITCHED_EVENT_NAME,
+        ({ name, magAmmo, maxMagAmmo }) => {
+          this.hideReloadProgress();
+          this.updateAmmoCounter(magAmmo, maxMagAmmo);
+          this.updateWeaponButton(name);
+        }
+      ),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.hideReloadProgress();
+      }),
+      this.eventBus.on(PLAY_AGAIN_REQUESTED_EVENT_NAME, () => {
+        // Only once the end card is on screen, so a held button cannot skip it
+        if (this.overlay.style.visibility === 'visible') this.playAgain();
+      }),
+      this.eventBus.on(GAME_PAUSED_EVENT_NAME, () => {
+        this.showPauseIndicator();
+      }),
+      this.eventBus.on(GAME_RESUMED_EVENT_NAME, () => {
+        this.hidePauseIndicator();
+      }),
+      this.eventBus.on(IDLE_HINT_SHOWN_EVENT_NAME, () => {
+        this.showIdleHint();
+      }),
+      this.eventBus.on(IDLE_HINT_HIDDEN_EVENT_NAME, () => {
+        this.hideIdleHint();
+      }),
+      this.eventBus.on(END_CARD_FORCED_EVENT_NAME, ({ reason }) => {
+        this.ctaAdapter.onEndCardForced(reason);
+      }),
+      this.eventBus.on(INPUT_SCHEME_CHANGED_EVENT_NAME, ({ scheme }) => {
+        this.updateIdleHintText(scheme);
+      }),
+    ];
   }
 
   /**
@@ -107,6 +268,10 @@ export class GameUIOverlay {
     this.crosshair.appendChild(this.leftLine);
     this.crosshair.appendChild(this.rightLine);
     document.body.appendChild(this.crosshair);
+
+    /** @type {number} Current gap between the crosshair center and its lines in vh */
+    this.crosshairGap = -1;
+    this.setCrosshairGap(UI_CONFIG.CROSSHAIR_GAP);
   }
 
   /**
@@ -136,90 +301,46 @@ export class GameUIOverlay {
   createCrosshairLine(direction) {
     const line = document.createElement('div');
     const lineLength = '1.2vh'; // Shorter lines for more padding
-    const lineGap = '0.8vh'; // Gap from center dot
+    const isVertical = direction === 'top' || direction === 'bottom';
 
     Object.assign(line.style, {
       position: 'absolute',
+      top: '50%',
+      left: '50%',
+      width: isVertical ? UI_CONFIG.CROSSHAIR_THICKNESS : lineLength,
+      height: isVertical ? lineLength : UI_CONFIG.CROSSHAIR_THICKNESS,
       background: COLORS.CROSSHAIR,
     });
 
-    switch (direction) {
-      case 'top':
-        Object.assign(line.style, {
-          top: '50%',
-          left: '50%',
-          width: UI_CONFIG.CROSSHAIR_THICKNESS,
-          height: lineLength,
-          transform: `translate(-50%, calc(-100% - ${lineGap}))`,
-        });
-        break;
-      case 'bottom':
-        Object.assign(line.style, {
-          top: '50%',
-          left: '50%',
-          width: UI_CONFIG.CROSSHAIR_THICKNESS,
-          height: lineLength,
-          transform: `translate(-50%, ${lineGap})`,
-        });
-        break;
-      case 'left':
-        Object.assign(line.style, {
-          top: '50%',
-          left: '50%',
-          width: lineLength,
-          height: UI_CONFIG.CROSSHAIR_THICKNESS,
-          transform: `translate(calc(-100% - ${lineGap}), -50%)`,
-        });
-        break;
-      case 'right':
-        Object.assign(line.style, {
-          top: '50%',
-          left: '50%',
-          width: lineLength,
-          height: UI_CONFIG.CROSSHAIR_THICKNESS,
-          transform: `translate(${lineGap}, -50%)`,
-        });
-        break;
-    }
-
     return line;
   }
 
   /**
-   * Animates the crosshair spread effect when shooting
-   * Triggers recoil animation and line movement animations
+   * Moves the crosshair lines to the given distance from the center
+   * @param {number} gap - Gap between the center dot and each line in vh
    */
-  animateCrosshairSpread() {
-    const spreadDistance = 1.0; // Distance to move lines outward
+  setCrosshairGap(gap) {
+    // Skip sub-pixel changes, this runs every frame
+    if (Math.abs(gap - this.crosshairGap) < 0.01) return;
+    this.crosshairGap = gap;
 
-    // Animate crosshair movement (recoil effect)
-    this.animateCrosshairRecoil();
+    const lineGap = `${gap.toFixed(2)}vh`;
+    this.topLine.style.transform = `translate(-50%, calc(-100% - ${lineGap}))`;
+    this.bottomLine.style.transform = `translate(-50%, ${lineGap})`;
+    this.leftLine.style.transform = `translate(calc(-100% - ${lineGap}), -50%)`;
+    this.rightLine.style.transform = `translate(${lineGap}, -50%)`;
+  }
 
-    // Animate each line moving outward
-    this.animateLineMovement(
-      this.topLine,
-      'top',
-      '50%',
-      `calc(50% - ${spreadDistance}vh)`
-    );
-    this.animateLineMovement(
-      this.bottomLine,
-      'top',
-      '50%',
-      `calc(50% + ${spreadDistance}vh)`
-    );
-    this.animateLineMovement(
-      this.leftLine,
-      'left',
-      '50%',
-      `calc(50% - ${spreadDistance}vh)`
-    );
-    this.animateLineMovement(
-      this.rightLine,
-      'left',
-      '50%',
-      `calc(50% + ${spreadDistance}vh)`
-    );
+  /**
+   * Updates the crosshair gap from the weapon spread, called every frame
+   * The gap matches where the edge of the spread cone lands on screen
+   * @param {number} spread - Spread cone half-angle in radians
+   */
+  updateCrosshairSpread(spread) {
+    const halfFov = DEG_TO_RAD * (GAME_CONFIG.CAMERA_FOV / 2);
+    // The vertical half-FOV spans 50vh
+    const spreadGap = (Math.tan(spread) / Math.tan(halfFov)) * 50;
+    this.setCrosshairGap(UI_CONFIG.CROSSHAIR_GAP + spreadGap);
   }
 
   /**
@@ -241,32 +362,6 @@ export class GameUIOverlay {
     }, 80);
   }
 
-  /**
-   * Animates a crosshair line movement from one position to another
-   * @param {HTMLElement} line - The line element to animate
-   * @param {string} position - CSS position property to animate ('top', 'left', etc.)
-   * @param {string} fromPos - Starting position value
-   * @param {string} toPos - Ending position value
-   */
-  animateLineMovement(line, position, fromPos, toPos) {
-    // Set initial state
-    line.style[position] = fromPos;
-    line.style.transition = 'none';
-
-    // Force reflow
-    line.offsetHeight;
-
-    // Animate to spread position
-    line.style.transition = `${position} ${UI_CONFIG.CROSSHAIR_SPREAD_DURATION}ms ease-out`;
-    line.style[position] = toPos;
-
-    // Reset after animation
-    setTimeout(() => {
-      line.style.transition = `${position} ${UI_CONFIG.CROSSHAIR_SPREAD_DURATION}ms ease-in`;
-      line.style[position] = fromPos;
-    }, UI_CONFIG.CROSSHAIR_SPREAD_DURATION);
-  }
-
   // ==== Hit Marker ====
   /**
    * Creates the hit marker element with diagonal lines
@@ -304,9 +399,11 @@ export class GameUIOverlay {
       { rotation: -45, x: 'left', y: 'bottom', origin: 'left center' },
     ];
 
-    lineConfigs.forEach((config) => {
+    /** @type {Array<HTMLElement>} Hit marker line elements, recolored for headshots */
+    this.hitMarkerLines = lineConfigs.map((config) => {
       const line = this.createHitMarkerLine(config);
       this.hitMarker.appendChild(line);
+      return line;
     });
   }
 
@@ -345,6 +442,50 @@ export class GameUIOverlay {
     }, UI_CONFIG.HIT_MARKER_DURATION);
   }
 
+  /**
+   * Creates the headshot label shown above the crosshair
+   */
+  createHeadshotMarker() {
+    /** @type {HTMLElement} Headshot label element */
+    this.headshotMarker = document.createElement('div');
+    Object.assign(this.headshotMarker.style, {
+      position: 'fixed',
+      top: '42%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      color: COLORS.HEADSHOT_MARKER,
+      fontSize: '2.5vh',
+      fontWeight: 'bold',
+      fontFamily: 'Arial, sans-serif',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+      pointerEvents: 'none',
+      zIndex: '10000',
+      opacity: '0',
+      transition: `opacity ${UI_CONFIG.HIT_MARKER_DURATION}ms ease-out`,
+    });
+    this.headshotMarker.textContent = 'HEADSHOT';
+    document.body.appendChild(this.headshotMarker);
+  }
+
+  /**
+   * Shows the headshot label and tints the hit marker lines
+   */
+  showHeadshotMarker() {
+    this.headshotMarker.style.opacity = '1';
+    this.hitMarkerLines.forEach((line) => {
+      line.style.background = COLORS.HEADSHOT_MARKER;
+    });
+    // A new headshot restarts the display time of the marker
+    clearTimeout(this.headshotTimeout);
+    this.headshotTimeout = setTimeout(() => {
+      this.headshotTimeout = null;
+      this.headshotMarker.style.opacity = '0';
+      this.hitMarkerLines.forEach((line) => {
+        line.style.background = COLORS.HIT_MARKER;
+      });
+    }, UI_CONFIG.HEADSHOT_MARKER_DURATION);
+  }
+
   // ==== Kill Counter ====
   /**
    * Creates the kill counter display element
@@ -370,8 +511,8 @@ export class GameUIOverlay {
       border: '2px solid rgba(255,255,255,0.3)',
     });
 
-    this.killCounter.textContent = `Kills: 0/${getEffectiveKillCountToWin()}`;
     document.body.appendChild(this.killCounter);
+    this.updateKillCounterDisplay();
   }
 
   /**
@@ -397,14 +538,523 @@ export class GameUIOverlay {
    */
   updateKillCounterDisplay() {
     const currentKillCount = this.currentKillCount || 0;
+    // Survival has no kill goal
+    if (CURRENT_GAME_MODE === GAME_MODES.SURVIVAL) {
+      this.killCounter.textContent = `Kills: ${currentKillCount}`;
+      return;
+    }
     const effectiveKillCountToWin = getEffectiveKillCountToWin();
     this.killCounter.textContent = `Kills: ${currentKillCount}/${effectiveKillCountToWin}`;
   }
 
+  // ==== Score Counter ====
+  /**
+   * Creates the score display below the kill counter
+   * Shows the round score and the combo multiplier while a combo is running
+   */
+  createScoreCounter() {
+    /** @type {HTMLElement} Score counter display element */
+    this.scoreCounter = document.createElement('div');
+    Object.assign(this.scoreCounter.style, {
+      position: 'fixed',
+      top: UI_CONFIG.SCORE_COUNTER_TOP,
+      left: '2vh',
+      padding: '1vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '2.5vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+      border: '2px solid rgba(255,255,255,0.3)',
+    });
+
+    /** @type {HTMLElement} Score text element */
+    this.scoreText = document.createElement('span');
+    /** @type {HTMLElement} Combo multiplier element, hidden at ×1 */
+    this.comboText = document.createElement('span');
+    Object.assign(this.comboText.style, {
+      marginLeft: '1vh',
+      color: COLORS.COMBO_MULTIPLIER,
+    });
+
+    this.scoreCounter.appendChild(this.scoreText);
+    this.scoreCounter.appendChild(this.comboText);
+    document.body.appendChild(this.scoreCounter);
+    this.updateScoreCounter(0, 1);
+  }
+
+  /**
+   * Updates the score and combo multiplier text
+   * @param {number} score - Round score
+   * @param {number} multiplier - Current combo multiplier
+   */
+  updateScoreCounter(score, multiplier) {
+    this.scoreText.textContent = `Score: ${score}`;
+    this.comboText.textContent = multiplier > 1 ? `×${multiplier}` : '';
+  }
+
+  // ==== Countdown ====
+  /**
+   * Creates the countdown display at the top center
+   * Shows the time-attack clock, or the wave timer in survival mode
+   */
+  createCountdown() {
+    /** @type {HTMLElement} Countdown display element */
+    this.countdown = document.createElement('div');
+    Object.assign(this.countdown.style, {
+      position: 'fixed',
+      top: '2vh',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '1vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '2.5vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+      border: '2px solid rgba(255,255,255,0.3)',
+    });
+
+    document.body.appendChild(this.countdown);
+    this.updateCountdown(
+      CURRENT_GAME_MODE === GAME_MODES.SURVIVAL
+        ? getWaveSettings(1).duration
+        : getTimeLimit()
+    );
+  }
+
+  /**
+   * Updates the countdown text, switching to the warning color in the last seconds
+   * @param {number} remainingTime - Seconds left on the clock
+   */
+  updateCountdown(remainingTime) {
+    if (!this.countdown) return;
+    this.countdown.textContent = `⏱ ${formatTime(remainingTime)}`;
+    this.countdown.style.color =
+      remainingTime <= UI_CONFIG.COUNTDOWN_WARNING_TIME
+        ? COLORS.COUNTDOWN_WARNING
+        : '#fff';
+  }
+
+  // ==== Wave Counter ====
+  /**
+   * Creates the survival wave counter below the kill counter
+   */
+  createWaveCounter() {
+    /** @type {HTMLElement} Wave counter display element */
+    this.waveCounter = document.createElement('div');
+    Object.assign(this.waveCounter.style, {
+      position: 'fixed',
+      top: UI_CONFIG.WAVE_COUNTER_TOP,
+      left: '2vh',
+      padding: '1vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '2.5vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+      border: '2px solid rgba(255,255,255,0.3)',
+    });
+
+    document.body.appendChild(this.waveCounter);
+    this.updateWaveCounter(1);
+  }
+
+  /**
+   * Updates the wave counter text
+   * @param {number} wave - Current wave number
+   */
+  updateWaveCounter(wave) {
+    if (!this.waveCounter) return;
+    this.waveCounter.textContent = `Wave ${wave}`;
+    this.waveCounter.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.waveCounter.style.color = '#fff';
+  }
+
+  /**
+   * Highlights the wave counter until the next wave starts
+   * @param {number} wave - Wave number that was cleared
+   */
+  showWaveCleared(wave) {
+    if (!this.waveCounter) return;
+    this.waveCounter.textContent = `Wave ${wave} cleared!`;
+    this.waveCounter.style.backgroundColor = 'rgba(255, 215, 0, 0.8)';
+    this.waveCounter.style.color = '#000';
+  }
+
+  // ==== Fire Button ====
+  /**
+   * Creates the on-screen fire button used in manual fire mode
+   * Presses are kept from reaching the window so they do not start the look joystick
+   */
+  createFireButton() {
+    /** @type {HTMLElement} Fire button element */
+    this.fireButton = document.createElement('div');
+    Object.assign(this.fireButton.style, {
+      position: 'fixed',
+      right: UI_CONFIG.FIRE_BUTTON_MARGIN,
+      bottom: UI_CONFIG.FIRE_BUTTON_MARGIN,
+      width: UI_CONFIG.FIRE_BUTTON_SIZE,
+      height: UI_CONFIG.FIRE_BUTTON_SIZE,
+      borderRadius: '50%',
+      backgroundColor: COLORS.FIRE_BUTTON,
+      border: '0.4vh solid rgba(255,255,255,0.6)',
+      zIndex: '9998',
+      touchAction: 'none',
+      userSelect: 'none',
+      webkitUserSelect: 'none',
+    });
+
+    const press = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.fireButton.style.backgroundColor = COLORS.FIRE_BUTTON_PRESSED;
+      this.eventBus.emit(FIRE_REQUESTED_EVENT_NAME, { source: 'button' });
+    };
+    const release = (e) => {
+      e.stopPropagation();
+      this.fireButton.style.backgroundColor = COLORS.FIRE_BUTTON;
+      this.eventBus.emit(FIRE_RELEASED_EVENT_NAME, { source: 'button' });
+    };
+
+    // Touch and pointer both fire on hybrid devices, so touch suppresses the pointer path
+    this.fireButton.addEventListener('touchstart', press, { passive: false });
+    this.fireButton.addEventListener('touchend', release);
+    this.fireButton.addEventListener('touchcancel', release);
+    this.fireButton.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch') {
+        e.stopPropagation();
+        return;
+      }
+      press(e);
+    });
+    this.fireButton.addEventListener('pointerup', release);
+    // Dragging the mouse off the button must not leave a full-auto trigger held
+    this.fireButton.addEventListener('pointerleave', release);
+    this.fireButton.addEventListener('pointercancel', release);
+
+    document.body.appendChild(this.fireButton);
+  }
+
+  // ==== Pause Indicator ====
+  /**
+   * Creates the pause indicator element
+   * Shown in the center of the screen while the game loop is paused
+   */
+  createPauseIndicator() {
+    /** @type {HTMLElement} Pause indicator element */
+    this.pauseIndicator = document.createElement('div');
+    Object.assign(this.pauseIndicator.style, {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      padding: '1vh 3vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '3vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '10000',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+      visibility: 'hidden',
+    });
+
+    this.pauseIndicator.textContent = 'Paused';
+    document.body.appendChild(this.pauseIndicator);
+  }
+
+  /**
+   * Shows the pause indicator
+   */
+  showPauseIndicator() {
+    this.pauseIndicator.style.visibility = 'visible';
+  }
+
+  /**
+   * Hides the pause indicator
+   */
+  hidePauseIndicator() {
+    this.pauseIndicator.style.visibility = 'hidden';
+  }
+
+  // ==== Idle Hint ====
+  /**
+   * Creates the idle hint reminding an inactive player of the controls
+   * Shown below the crosshair so it does not cover the targets
+   */
+  createIdleHint() {
+    /** @type {HTMLElement} Idle hint element */
+    this.idleHint = document.createElement('div');
+    Object.assign(this.idleHint.style, {
+      position: 'fixed',
+      top: '65%',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '1vh 3vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '2.5vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+      whiteSpace: 'nowrap',
+      visibility: 'hidden',
+    });
+
+    this.updateIdleHintText(INPUT_SCHEMES.TOUCH);
+    document.body.appendChild(this.idleHint);
+  }
+
+  /**
+   * Describes the controls of the active scheme in the idle hint
+   * @param {string} scheme - One of the INPUT_SCHEMES values
+   */
+  updateIdleHintText(scheme) {
+    const isManual = CURRENT_FIRE_MODE === FIRE_MODES.MANUAL;
+    if (scheme === INPUT_SCHEMES.DESKTOP) {
+      this.idleHint.textContent = isManual
+        ? '⌨️ WASD to move, mouse to aim, click to fire'
+        : '⌨️ WASD to move, mouse to aim';
+    } else {
+      this.idleHint.textContent = isManual
+        ? '👆 Drag to move, swipe to aim, tap to fire'
+        : '👆 Drag to move, swipe to aim';
+    }
+  }
+
+  /**
+   * Shows the idle hint
+   */
+  showIdleHint() {
+    this.idleHint.style.visibility = 'visible';
+  }
+
+  /**
+   * Hides the idle hint
+   */
+  hideIdleHint() {
+    this.idleHint.style.visibility = 'hidden';
+  }
+
+  // ==== Ammo Counter ====
+  /**
+   * Creates the ammo counter with its reload progress bar
+   * Shows rounds in the magazine vs magazine capacity
+   */
+  createAmmoCounter() {
+    /** @type {HTMLElement} Ammo counter container element */
+    this.ammoCounter = document.createElement('div');
+    Object.assign(this.ammoCounter.style, {
+      position: 'fixed',
+      top: '2vh',
+      right: '2vh',
+      padding: '1vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '2.5vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+      border: '2px solid rgba(255,255,255,0.3)',
+      minWidth: UI_CONFIG.AMMO_COUNTER_MIN_WIDTH,
+      textAlign: 'center',
+    });
+
+    /** @type {HTMLElement} Ammo counter text element */
+    this.ammoText = document.createElement('div');
+
+    /** @type {HTMLElement} Reload progress track */
+    this.reloadTrack = document.createElement('div');
+    Object.assign(this.reloadTrack.style, {
+      marginTop: '0.6vh',
+      height: UI_CONFIG.RELOAD_BAR_HEIGHT,
+      backgroundColor: 'rgba(255,255,255,0.2)',
+      borderRadius: UI_CONFIG.RELOAD_BAR_HEIGHT,
+      overflow: 'hidden',
+      visibility: 'hidden',
+    });
+
+    /** @type {HTMLElement} Reload progress fill */
+    this.reloadFill = document.createElement('div');
+    Object.assign(this.reloadFill.style, {
+      width: '0%',
+      height: '100%',
+      backgroundColor: COLORS.RELOAD_PROGRESS,
+    });
+
+    this.reloadTrack.appendChild(this.reloadFill);
+    this.ammoCounter.appendChild(this.ammoText);
+    this.ammoCounter.appendChild(this.reloadTrack);
+    document.body.appendChild(this.ammoCounter);
+
+    const { magazineSize } = WEAPON_DEFINITIONS[WEAPON_LOADOUT[0]];
+    this.updateAmmoCounter(magazineSize, magazineSize);
+  }
+
+  /**
+   * Updates the ammo counter text
+   * Highlights the counter when the magazine is empty
+   * @param {number} magAmmo - Rounds in the magazine
+   * @param {number} maxMagAmmo - Magazine capacity
+   */
+  updateAmmoCounter(magAmmo, maxMagAmmo) {
+    this.ammoText.textContent = `Ammo: ${magAmmo}/${maxMagAmmo}`;
+    this.ammoText.style.color = magAmmo === 0 ? COLORS.AMMO_EMPTY : '#fff';
+  }
+
+  /**
+   * Shows the reload progress bar at zero
+   */
+  showReloadProgress() {
+    this.reloadFill.style.width = '0%';
+    this.reloadTrack.style.visibility = 'visible';
+  }
+
+  /**
+   * Hides the reload progress bar
+   */
+  hideReloadProgress() {
+    this.reloadTrack.style.visibility = 'hidden';
+  }
+
+  /**
+   * Updates the reload progress bar, called every frame with the RELOAD animation progress
+   * @param {number|null} progress - Progress between 0 and 1, or null when not reloading
+   */
+  updateReloadProgress(progress) {
+    if (progress === null) return;
+    this.reloadFill.style.width = `${Math.round(progress * 100)}%`;
+  }
+
+  /**
+   * Creates the reload button below the ammo counter
+   * Presses are kept from reaching the window so they do not start the look joystick
+   */
+  createReloadButton() {
+    /** @type {HTMLElement} Reload button element */
+    this.reloadButton = document.createElement('div');
+    this.reloadButton.textContent = '⟳ Reload';
+    Object.assign(this.reloadButton.style, {
+      position: 'fixed',
+      top: UI_CONFIG.RELOAD_BUTTON_TOP,
+      right: '2vh',
+      padding: '1vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      color: '#fff',
+      fontSize: '2vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      fontFamily: 'Arial, sans-serif',
+      border: '2px solid rgba(255,255,255,0.3)',
+      cursor: 'pointer',
+      touchAction: 'none',
+      userSelect: 'none',
+      webkitUserSelect: 'none',
+    });
+
+    const press = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.eventBus.emit(RELOAD_REQUESTED_EVENT_NAME, { source: 'button' });
+    };
+
+    this.reloadButton.addEventListener('touchstart', press, {
+      passive: false,
+    });
+    this.reloadButton.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch') {
+        e.stopPropagation();
+        return;
+      }
+      press(e);
+    });
+
+    document.body.appendChild(this.reloadButton);
+  }
+
+  // ==== Weapon Button ====
+  /**
+   * Creates the weapon switch button below the reload button
+   * Shows the equipped weapon and cycles to the next one when pressed
+   */
+  createWeaponButton() {
+    /** @type {HTMLElement} Weapon switch button element */
+    this.weaponButton = document.createElement('div');
+    Object.assign(this.weaponButton.style, {
+      position: 'fixed',
+      top: UI_CONFIG.WEAPON_BUTTON_TOP,
+      right: '2vh',
+      padding: '1vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      color: '#fff',
+      fontSize: '2vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      zIndex: '9998',
+      fontFamily: 'Arial, sans-serif',
+      border: '2px solid rgba(255,255,255,0.3)',
+      cursor: 'pointer',
+      touchAction: 'none',
+      userSelect: 'none',
+      webkitUserSelect: 'none',
+    });
+    this.updateWeaponButton(WEAPON_DEFINITIONS[WEAPON_LOADOUT[0]].name);
+
+    const press = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.eventBus.emit(WEAPON_SWITCH_REQUESTED_EVENT_NAME, {
+        source: 'button',
+      });
+    };
+
+    this.weaponButton.addEventListener('touchstart', press, {
+      passive: false,
+    });
+    this.weaponButton.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch') {
+        e.stopPropagation();
+        return;
+      }
+      press(e);
+    });
+
+    document.body.appendChild(this.weaponButton);
+  }
+
+  /**
+   * Updates the weapon switch button label
+   * @param {string} name - Display name of the equipped weapon
+   */
+  updateWeaponButton(name) {
+    this.weaponButton.textContent = `⇄ ${name}`;
+  }
+
   // ==== Game Over Overlay ====
   /**
    * Creates the game over overlay element
-   * Sets up the main overlay container for game over screen
+   * Sets up the main overlay container holding the round summary card
    */
   createOverlay() {
     /** @type {HTMLElement} Game over overlay container */
@@ -424,11 +1074,145 @@ export class GameUIOverlay {
       visibility: 'hidden',
     });
 
-    const buttonWrapper = this.createButtonWrapper();
-    this.overlay.appendChild(buttonWrapper);
+    this.overlay.appendChild(this.createSummaryCard());
     document.body.appendChild(this.overlay);
   }
 
+  /**
+   * Creates the round summary card with a title, stat rows and the game over buttons
+   * @returns {HTMLElement} Summary card element
+   */
+  createSummaryCard() {
+    const card = document.createElement('div');
+    Object.assign(card.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: UI_CONFIG.BUTTON_GAP,
+      padding: UI_CONFIG.SUMMARY_CARD_PADDING,
+      minWidth: UI_CONFIG.SUMMARY_CARD_MIN_WIDTH,
+      backgroundColor: COLORS.SUMMARY_CARD_BACKGROUND,
+      borderRadius: '2vh',
+      border: '2px solid rgba(255,255,255,0.3)',
+      boxShadow: '0 1vh 3vh rgba(0,0,0,0.5)',
+      color: '#fff',
+      fontFamily: 'Arial, sans-serif',
+    });
+
+    /** @type {HTMLElement} Round result title */
+    this.summaryTitle = document.createElement('div');
+    Object.assign(this.summaryTitle.style, {
+      fontSize: '4vh',
+      fontWeight: 'bold',
+      textAlign: 'center',
+    });
+
+    /** @type {HTMLElement} New best badge, or the standing best when no record was set */
+    this.summaryRecords = document.createElement('div');
+    Object.assign(this.summaryRecords.style, {
+      fontSize: '2.2vh',
+      textAlign: 'center',
+    });
+
+    /** @type {HTMLElement} Container of the stat rows, filled on game over */
+    this.summaryRows = document.createElement('div');
+    Object.assign(this.summaryRows.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.8vh',
+      fontSize: '2.5vh',
+    });
+
+    card.appendChild(this.summaryTitle);
+    card.appendChild(this.summaryRecords);
+    card.appendChild(this.summaryRows);
+    card.appendChild(this.createButtonWrapper());
+    return card;
+  }
+
+  /**
+   * Fills the summary card from the game over payload
+   * @param {string} result - One of the GAME_RESULTS values
+   * @param {string} reason - One of the GAME_OVER_REASONS values
+   * @param {GameStats} stats - Round statistics
+   */
+  updateSummary(result, reason, stats) {
+    // Time-attack and survival losses both end on a clock
+    if (result === GAME_RESULTS.WIN) {
+      this.summaryTitle.textContent = '🏆 You Win!';
+    } else if (reason === GAME_OVER_REASONS.IDLE) {
+      this.summaryTitle.textContent = '💤 Still There?';
+    } else if (reason === GAME_OVER_REASONS.SESSION) {
+      this.summaryTitle.textContent = '🏁 Round Over';
+    } else {
+      this.summaryTitle.textContent = "⏱ Time's Up!";
+    }
+
+    const rows = [
+      ['Score', stats.score],
+      ['Accuracy', `${Math.round(stats.accuracy * 100)}%`],
+      ['Shots fired', stats.shotsFired],
+      ['Headshots', stats.headshots],
+      ['Time', formatTime(stats.elapsedTime)],
+    ];
+    if (stats.remainingTime !== null) {
+      rows.push(['Time left', formatTime(stats.remainingTime)]);
+    }
+    if (stats.wave !== null) {
+      rows.push(['Wave', stats.wave]);
+    }
+
+    this.summaryRows.replaceChildren(
+      ...rows.map(([label, value]) => this.createSummaryRow(label, value))
+    );
+  }
+
+  /**
+   * Shows the new best badge on the summary card, or the standing best score
+   * @param {RecordsUpdatedPayload} records - Records after the round
+   */
+  updateSummaryRecords({ bestScore, isNewBestScore, isNewBestTime }) {
+    const isNewBest = isNewBestScore || isNewBestTime;
+    if (isNewBestScore && isNewBestTime) {
+      this.summaryRecords.textContent = '🏅 New best score and time!';
+    } else if (isNewBest) {
+      this.summaryRecords.textContent = isNewBestScore
+        ? '🏅 New best score!'
+        : '🏅 New best time!';
+    } else {
+      this.summaryRecords.textContent = `Best: ${bestScore}`;
+    }
+    this.summaryRecords.style.color = isNewBest ? COLORS.NEW_BEST : '#fff';
+    this.summaryRecords.style.fontWeight = isNewBest ? 'bold' : 'normal';
+    this.summaryRecords.style.opacity = isNewBest ? '1' : '0.75';
+  }
+
+  /**
+   * Creates a summary card row with the label on the left and the value on the right
+   * @param {string} label - Stat label
+   * @param {string|number} value - Stat value
+   * @returns {HTMLElement} Row element
+   */
+  createSummaryRow(label, value) {
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '4vh',
+    });
+
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    labelEl.style.opacity = '0.75';
+
+    const valueEl = document.createElement('span');
+    valueEl.textContent = String(value);
+    valueEl.style.fontWeight = 'bold';
+
+    row.appendChild(labelEl);
+    row.appendChild(valueEl);
+    return row;
+  }
+
   /**
    * Creates the button wrapper container for game over overlay
    * @returns {HTMLElement} Button wrapper element containing play again and download buttons
@@ -445,8 +1229,7 @@ export class GameUIOverlay {
     });
 
     const playAgainBtn = this.createButton('🔁 Play Again', () => {
-      this.hideGameOverOverlay();
-      this.eventBus.emit(PLAY_AGAIN_EVENT_NAME);
+      this.playAgain();
     });
 
     const downloadBtn = this.createButton('⬇️ Download', () => {
@@ -506,12 +1289,28 @@ export class GameUIOverlay {
     return btn;
   }
 
+  /**
+   * Hides the game over overlay and starts a new round
+   */
+  playAgain() {
+    this.hideGameOverOverlay();
+    this.eventBus.emit(PLAY_AGAIN_EVENT_NAME);
+  }
+
+  /**
+   * Sets the ad network adapter used by the Download CTA
+   * @param {CTAAdapter} ctaAdapter - Adapter created by createCTAAdapter()
+   */
+  setCTAAdapter(ctaAdapter) {
+    this.ctaAdapter = ctaAdapter;
+  }
+
   /**
    * Handles the download button click event
-   * Determines platform and opens appropriate app store link
+   * Determines platform and opens appropriate app store link through the CTA adapter
    */
   handleDownload() {
-    this.defaultDownloadHandler();
+    this.ctaAdapter.open(this.getStoreLink());
   }
 
   /**
@@ -561,22 +1360,15 @@ export class GameUIOverlay {
   }
 
   /**
-   * Default download handler that opens app store based on platform
-   * Detects mobile platform and opens appropriate app store link
+   * Gets the store link matching the current platform
+   * @returns {string} iOS store link on iOS devices, Android store link otherwise
    */
-  defaultDownloadHandler() {
+  getStoreLink() {
     const userAgent = navigator.userAgent.toLowerCase();
-    const isAndroid = /android/.test(userAgent);
     const isIOS = /iphone|ipad|ipod/.test(userAgent);
 
-    if (isAndroid) {
-      window.open(this.androidAppLink, '_blank');
-    } else if (isIOS) {
-      window.open(this.iosAppLink, '_blank');
-    } else {
-      // Default to Android link for desktop
-      window.open(this.androidAppLink, '_blank');
-    }
+    // Default to Android link for desktop
+    return isIOS ? this.iosAppLink : this.androidAppLink;
   }
 
   /**
@@ -589,6 +1381,16 @@ export class GameUIOverlay {
       window.removeEventListener('resize', this.resizeHandler);
     }
 
+    // Remove reload key listener
+    if (this.keyDownHandler) {
+      window.removeEventListener('keydown', this.keyDownHandler);
+    }
+
+    // Remove event bus listeners and pending timers
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    clearTimeout(this.gameOverTimeout);
+    clearTimeout(this.headshotTimeout);
+
     // Remove DOM elements
     if (this.crosshair && this.crosshair.parentNode) {
       this.crosshair.parentNode.removeChild(this.crosshair);
@@ -596,11 +1398,41 @@ export class GameUIOverlay {
     if (this.hitMarker && this.hitMarker.parentNode) {
       this.hitMarker.parentNode.removeChild(this.hitMarker);
     }
+    if (this.headshotMarker && this.headshotMarker.parentNode) {
+      this.headshotMarker.parentNode.removeChild(this.headshotMarker);
+    }
     if (this.killCounter && this.killCounter.parentNode) {
       this.killCounter.parentNode.removeChild(this.killCounter);
     }
+    if (this.scoreCounter && this.scoreCounter.parentNode) {
+      this.scoreCounter.parentNode.removeChild(this.scoreCounter);
+    }
+    if (this.countdown && this.countdown.parentNode) {
+      this.countdown.parentNode.removeChild(this.countdown);
+    }
+    if (this.waveCounter && this.waveCounter.parentNode) {
+      this.waveCounter.parentNode.removeChild(this.waveCounter);
+    }
     if (this.overlay && this.overlay.parentNode) {
       this.overlay.parentNode.removeChild(this.overlay);
     }
+    if (this.pauseIndicator && this.pauseIndicator.parentNode) {
+      this.pauseIndicator.parentNode.removeChild(this.pauseIndicator);
+    }
+    if (this.idleHint && this.idleHint.parentNode) {
+      this.idleHint.parentNode.removeChild(this.idleHint);
+    }
+    if (this.ammoCounter && this.ammoCounter.parentNode) {
+      this.ammoCounter.parentNode.removeChild(this.ammoCounter);
+    }
+    if (this.reloadButton && this.reloadButton.parentNode) {
+      this.reloadButton.parentNode.removeChild(this.reloadButton);
+    }
+    if (this.weaponButton && this.weaponButton.parentNode) {
+      this.weaponButton.parentNode.removeChild(this.weaponButton);
+    }
+    if (this.fireButton && this.fireButton.parentNode) {
+      this.fireButton.parentNode.removeChild(this.fireButton);
+    }
   }
 }
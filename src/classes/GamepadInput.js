@@ -0,0 +1,238 @@
+/**
+ * @fileoverview GamepadInput class reading a controller through the Gamepad API.
+ * Sampled once per frame by the InputManager: the left stick moves, the right stick looks,
+ * the triggers fire, Start pauses and the A button reloads or presses Play Again on the end card.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import {
+  GAME_OVER_EVENT_NAME,
+  PLAY_AGAIN_EVENT_NAME,
+  PLAY_AGAIN_REQUESTED_EVENT_NAME,
+  JOYSTICK_MOVED_EVENT_NAME,
+} from '../helpers/EventNames';
+import { GAMEPAD_CONFIG } from '../helpers/constants';
+
+/**
+ * Applies a radial dead zone and a response curve to a stick
+ * The remaining range is rescaled, so output starts at 0 right outside the dead zone
+ * @param {number} x - Horizontal axis value (-1..1)
+ * @param {number} y - Vertical axis value (-1..1)
+ * @param {number} deadZone - Deflection (0..1) that still reads as centered
+ * @param {number} curve - Response curve exponent
+ * @returns {Object} Shaped stick values {x, y}, at most length 1
+ */
+const shapeStick = (x, y, deadZone, curve) => {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadZone) return { x: 0, y: 0 };
+
+  const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+  const factor = Math.pow(scaled, curve) / magnitude;
+  return { x: x * factor, y: y * factor };
+};
+
+/**
+ * GamepadInput class turning the first connected gamepad into move and look values
+ * Stick movement is reported as the 'move' and 'look' sticks, so the tutorial and the
+ * idle watcher treat it like the joysticks
+ */
+export class GamepadInput {
+  /**
+   * Creates a new GamepadInput instance
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {Object} [config=GAMEPAD_CONFIG] - Dead zones, curves, speeds and button mapping
+   * @constructor
+   */
+  constructor(eventBus, config = GAMEPAD_CONFIG) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Object} Dead zones, curves, speeds and button mapping */
+    this.config = config;
+    /** @type {Object} Shaped left stick values {x, y}, in the joystick convention */
+    this.moveInput = { x: 0, y: 0 };
+    /** @type {Object} Shaped right stick values {x, y} */
+    this.lookInput = { x: 0, y: 0 };
+    /** @type {boolean} Flag indicating if a stick is deflected or a mapped button held */
+    this.active = false;
+    /** @type {boolean} Flag indicating if a fire trigger is pulled */
+    this.isTriggerPulled = false;
+    /** @type {boolean} Flag indicating if the confirm button is held */
+    this.isConfirmHeld = false;
+    /** @type {boolean} Flag set by Play Again until the confirm button is let go, so it cannot reload */
+    this.isConfirmLocked = false;
+    /** @type {boolean} Flag indicating if the pause button is held */
+    this.isPauseHeld = false;
+    /** @type {Object} Time of the last reported input event per stick, in ms */
+    this.lastInputEventTime = { move: -Infinity, look: -Infinity };
+    /** @type {boolean} Flag indicating if game is over */
+    this.isGameOver = false;
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
+        this.isGameOver = true;
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.isGameOver = false;
+        // The press that restarted the round must not also reload
+        this.isConfirmLocked = this.isConfirmHeld;
+      }),
+    ];
+  }
+
+  /**
+   * Gets the first connected gamepad
+   * @returns {Gamepad|null} Gamepad, or null when none is connected or the API is missing
+   */
+  getGamepad() {
+    if (typeof navigator.getGamepads !== 'function') return null;
+    const gamepads = Array.from(navigator.getGamepads());
+    return gamepads.find((gamepad) => gamepad && gamepad.connected) || null;
+  }
+
+  /**
+   * Reads the sticks and buttons of the gamepad; called once per frame by sample()
+   * Browsers only report a gamepad after one of its buttons has been pressed
+   */
+  poll() {
+    const gamepad = this.getGamepad();
+    if (!gamepad) {
+      this.release();
+      return;
+    }
+
+    const { MOVE_AXES, LOOK_AXES } = this.config;
+    this.moveInput = shapeStick(
+      gamepad.axes[MOVE_AXES[0]] ?? 0,
+      gamepad.axes[MOVE_AXES[1]] ?? 0,
+      this.config.MOVE_DEAD_ZONE,
+      this.config.MOVE_CURVE
+    );
+    this.lookInput = shapeStick(
+      gamepad.axes[LOOK_AXES[0]] ?? 0,
+      gamepad.axes[LOOK_AXES[1]] ?? 0,
+      this.config.LOOK_DEAD_ZONE,
+      this.config.LOOK_CURVE
+    );
+
+    const isMoving = this.moveInput.x !== 0 || this.moveInput.y !== 0;
+    const isLooking = this.lookInput.x !== 0 || this.lookInput.y !== 0;
+    if (isMoving) this.reportInput('move');
+    if (isLooking) this.reportInput('look');
+
+    this.isTriggerPulled = this.config.FIRE_BUTTONS.some(
+      (index) =>
+        this.getButtonValue(gamepad, index) > this.config.TRIGGER_THRESHOLD
+    );
+    this.isPauseHeld =
+      gamepad.buttons[this.config.PAUSE_BUTTON]?.pressed === true;
+    this.updateConfirm(gamepad);
+    this.active =
+      isMoving ||
+      isLooking ||
+      this.isTriggerPulled ||
+      this.isConfirmHeld ||
+      this.isPauseHeld;
+  }
+
+  /**
+   * Polls the gamepad and returns its actions for this frame
+   * Input source sampled by the InputManager
+   * @param {number} delta - Time delta in seconds
+   * @returns {InputSample} Sticks, trigger, reload and pause buttons
+   */
+  sample(delta) {
+    this.poll();
+    return {
+      move: this.moveInput,
+      look: this.getLookRotation(delta),
+      fire: this.isTriggerPulled,
+      // The confirm button presses Play Again instead once the round is over
+      reload: this.isConfirmHeld && !this.isGameOver && !this.isConfirmLocked,
+      pause: this.isPauseHeld,
+    };
+  }
+
+  /**
+   * Gets how far a button is pressed
+   * @param {Gamepad} gamepad - Polled gamepad
+   * @param {number} index - Button index in the standard mapping
+   * @returns {number} Button value between 0 and 1, 0 for missing buttons
+   */
+  getButtonValue(gamepad, index) {
+    const button = gamepad.buttons[index];
+    if (!button) return 0;
+    return Math.max(button.value, button.pressed ? 1 : 0);
+  }
+
+  /**
+   * Requests Play Again when the confirm button is pressed on the end card
+   * While playing, the held button is sampled as reload instead
+   * @param {Gamepad} gamepad - Polled gamepad
+   */
+  updateConfirm(gamepad) {
+    const isHeld =
+      gamepad.buttons[this.config.CONFIRM_BUTTON]?.pressed === true;
+    const isPressed = isHeld && !this.isConfirmHeld;
+    this.isConfirmHeld = isHeld;
+    if (!isHeld) this.isConfirmLocked = false;
+
+    if (isPressed && this.isGameOver) {
+      this.eventBus.emit(PLAY_AGAIN_REQUESTED_EVENT_NAME, {
+        source: 'gamepad',
+      });
+    }
+  }
+
+  /**
+   * Gets the camera rotation of the right stick for this frame
+   * @param {number} delta - Time delta in seconds
+   * @returns {Object} Rotation deltas in radians {yaw, pitch}
+   */
+  getLookRotation(delta) {
+    const speed = this.config.LOOK_SPEED * delta;
+    return {
+      yaw: -this.lookInput.x * speed,
+      pitch: -this.lookInput.y * speed,
+    };
+  }
+
+  /**
+   * Reports stick movement as a stick drag, at most once per interval
+   * @param {string} stick - Stick that moved ('move' or 'look')
+   */
+  reportInput(stick) {
+    const now = performance.now();
+    if (
+      now - this.lastInputEventTime[stick] <
+      this.config.INPUT_EVENT_INTERVAL
+    ) {
+      return;
+    }
+    this.lastInputEventTime[stick] = now;
+    this.eventBus.emit(JOYSTICK_MOVED_EVENT_NAME, { stick });
+  }
+
+  /**
+   * Clears all input after the gamepad disconnects
+   * A pulled trigger reads as released on the next sample
+   */
+  release() {
+    this.moveInput = { x: 0, y: 0 };
+    this.lookInput = { x: 0, y: 0 };
+    this.active = false;
+    this.isTriggerPulled = false;
+    this.isConfirmHeld = false;
+    this.isConfirmLocked = false;
+    this.isPauseHeld = false;
+  }
+
+  /**
+   * Disposes of the gamepad input and removes its event listeners
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview GyroInput class aiming by tilting the device.
+ * Turns deviceorientation readings into camera rotation deltas, blended with the look
+ * joystick by the InputManager. Recalibrates whenever a round starts or resumes and asks
+ * for the iOS motion permission from a tap.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import {
+  GAME_STARTED_EVENT_NAME,
+  GAME_OVER_EVENT_NAME,
+  PLAY_AGAIN_EVENT_NAME,
+  GAME_PAUSED_EVENT_NAME,
+  GAME_RESUMED_EVENT_NAME,
+} from '../helpers/EventNames';
+import { GYRO_CONFIG } from '../helpers/constants';
+
+/** Rotates the device frame so the camera looks out of the back of the screen */
+const SCREEN_TO_CAMERA = new THREE.Quaternion(
+  -Math.sqrt(0.5),
+  0,
+  0,
+  Math.sqrt(0.5)
+);
+/** Axis of the screen orientation correction */
+const SCREEN_NORMAL = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Wraps an angle difference into -PI..PI, so yaw does not jump when alpha wraps around
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle in -PI..PI
+ */
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+/**
+ * GyroInput class accumulating device rotation between frames
+ * Only rotation since the calibrated pose counts, so the player can hold the device at any angle
+ */
+export class GyroInput {
+  /**
+   * Creates a new GyroInput instance
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {Object} [config=GYRO_CONFIG] - Enabled flag, sensitivity and noise threshold
+   * @constructor
+   */
+  constructor(eventBus, config = GYRO_CONFIG) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Object} Enabled flag, sensitivity and noise threshold */
+    this.config = config;
+    /** @type {boolean} Whether tilting the device aims */
+    this.enabled = false;
+    /** @type {number} Camera rotation per radian of device rotation */
+    this.sensitivity = config.SENSITIVITY;
+    /** @type {string} iOS motion permission state ('unknown', 'granted' or 'denied') */
+    this.permission = 'unknown';
+    /** @type {Object|null} Camera angles of the previous reading {yaw, pitch}; null until calibrated */
+    this.lastAngles = null;
+    /** @type {Object} Device rotation since the last sample in radians {yaw, pitch} */
+    this.lookDelta = { yaw: 0, pitch: 0 };
+    /** @type {boolean} Flag indicating if the game is paused or over, ignoring rotation */
+    this.isSuspended = false;
+    /** @type {THREE.Euler} Reusable euler of the device orientation */
+    this.euler = new THREE.Euler();
+    /** @type {THREE.Quaternion} Reusable device orientation */
+    this.quaternion = new THREE.Quaternion();
+    /** @type {THREE.Quaternion} Reusable screen orientation correction */
+    this.screenCorrection = new THREE.Quaternion();
+
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.handleGesture = this.handleGesture.bind(this);
+    this.handleScreenOrientation = () => this.calibrate();
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_STARTED_EVENT_NAME, () => {
+        this.isSuspended = false;
+        this.calibrate();
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.isSuspended = false;
+        this.calibrate();
+      }),
+      this.eventBus.on(GAME_RESUMED_EVENT_NAME, () => {
+        this.isSuspended = false;
+        this.calibrate();
+      }),
+      this.eventBus.on(GAME_PAUSED_EVENT_NAME, () => {
+        this.isSuspended = true;
+      }),
+      this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
+        this.isSuspended = true;
+      }),
+    ];
+
+    this.setEnabled(config.ENABLED);
+  }
+
+  /**
+   * Checks if the browser requires a permission for orientation events (iOS 13+)
+   * @returns {boolean} True if DeviceOrientationEvent.requestPermission exists
+   */
+  needsPermission() {
+    return (
+      typeof DeviceOrientationEvent !== 'undefined' &&
+      typeof DeviceOrientationEvent.requestPermission === 'function'
+    );
+  }
+
+  /**
+   * Enables or disables gyro aiming
+   * Where a permission is needed, it is requested on the next tap
+   * @param {boolean} enabled - True to aim by tilting the device
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+
+    if (!enabled) {
+      this.removeListeners();
+      return;
+    }
+
+    if (this.needsPermission() && this.permission !== 'granted') {
+      // iOS only shows the prompt from a click or touchend handler
+      window.addEventListener('touchend', this.handleGesture);
+      window.addEventListener('click', this.handleGesture);
+    } else {
+      this.addOrientationListeners();
+    }
+  }
+
+  /**
+   * Requests the orientation permission; must be called from a user gesture
+   * @returns {Promise<boolean>} Resolves to true if orientation events may be used
+   */
+  async requestPermission() {
+    if (!this.needsPermission()) return true;
+
+    try {
+      this.permission = await DeviceOrientationEvent.requestPermission();
+    } catch (error) {
+      console.warn('[GyroInput] Orientation permission request failed', error);
+      this.permission = 'denied';
+    }
+    if (this.permission === 'granted' && this.enabled) {
+      this.addOrientationListeners();
+    }
+    return this.permission === 'granted';
+  }
+
+  /**
+   * Requests the permission on the first tap after gyro aiming was enabled
+   */
+  handleGesture() {
+    window.removeEventListener('touchend', this.handleGesture);
+    window.removeEventListener('click', this.handleGesture);
+    this.requestPermission();
+  }
+
+  /**
+   * Starts listening for device and screen orientation changes
+   */
+  addOrientationListeners() {
+    window.addEventListener('deviceorientation', this.handleOrientation);
+    window.addEventListener('orientationchange', this.handleScreenOrientation);
+    this.calibrate();
+  }
+
+  /**
+   * Stops listening for gestures and orientation changes and drops pending rotation
+   */
+  removeListeners() {
+    window.removeEventListener('touchend', this.handleGesture);
+    window.removeEventListener('click', this.handleGesture);
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+    window.removeEventListener(
+      'orientationchange',
+      this.handleScreenOrientation
+    );
+    this.calibrate();
+  }
+
+  /**
+   * Makes the current device pose the neutral one
+   * The next reading becomes the reference, so recalibrating never turns the camera
+   */
+  calibrate() {
+    this.lastAngles = null;
+    this.lookDelta = { yaw: 0, pitch: 0 };
+  }
+
+  /**
+   * Sets the gyro sensitivity
+   * @param {number} sensitivity - Camera rotation per radian of device rotation
+   */
+  setSensitivity(sensitivity) {
+    this.sensitivity = sensitivity;
+  }
+
+  /**
+   * Gets the screen orientation angle
+   * @returns {number} Screen rotation in radians (0 in portrait)
+   */
+  getScreenAngle() {
+    const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+    return THREE.MathUtils.degToRad(angle);
+  }
+
+  /**
+   * Converts a device orientation reading to camera yaw and pitch
+   * @param {DeviceOrientationEvent} e - Orientation event with alpha, beta and gamma in degrees
+   * @returns {Object} Camera angles in radians {yaw, pitch}
+   */
+  getCameraAngles(e) {
+    const { degToRad } = THREE.MathUtils;
+    this.euler.set(
+      degToRad(e.beta),
+      degToRad(e.alpha),
+      -degToRad(e.gamma),
+      'YXZ'
+    );
+    this.quaternion.setFromEuler(this.euler);
+    this.quaternion.multiply(SCREEN_TO_CAMERA);
+    this.quaternion.multiply(
+      this.screenCorrection.setFromAxisAngle(
+        SCREEN_NORMAL,
+        -this.getScreenAngle()
+      )
+    );
+    this.euler.setFromQuaternion(this.quaternion, 'YXZ');
+    return { yaw: this.euler.y, pitch: this.euler.x };
+  }
+
+  /**
+   * Accumulates the device rotation since the previous reading
+   * @param {DeviceOrientationEvent} e - Orientation event
+   */
+  handleOrientation(e) {
+    // Devices without a gyroscope fire a single event with null angles
+    if (e.alpha === null || e.beta === null || e.gamma === null) return;
+    if (this.isSuspended) {
+      this.lastAngles = null;
+      return;
+    }
+
+    const angles = this.getCameraAngles(e);
+    if (this.lastAngles) {
+      const yaw = wrapAngle(angles.yaw - this.lastAngles.yaw);
+      const pitch = angles.pitch - this.lastAngles.pitch;
+      if (Math.hypot(yaw, pitch) < this.config.NOISE_THRESHOLD) return;
+
+      this.lookDelta.yaw += yaw;
+      this.lookDelta.pitch += pitch;
+    }
+    this.lastAngles = angles;
+  }
+
+  /**
+   * Returns the device rotation since the last sample and clears it
+   * Input source sampled by the InputManager
+   * @returns {InputSample} Look rotation scaled by the sensitivity
+   */
+  sample() {
+    const look = {
+      yaw: this.lookDelta.yaw * this.sensitivity,
+      pitch: this.lookDelta.pitch * this.sensitivity,
+    };
+    this.lookDelta = { yaw: 0, pitch: 0 };
+    return { look };
+  }
+
+  /**
+   * Disposes of the gyro input and removes its DOM and event bus listeners
+   */
+  dispose() {
+    this.removeListeners();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview IdleWatcher class enforcing the inactivity limits of playable ads.
+ * Tracks time since the last joystick press, drag or hit, shows a hint after a short
+ * pause and ends the round when the player stays idle or the session runs too long.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { IDLE_CONFIG } from '../helpers/constants';
+import {
+  JOYSTICK_PRESSED_EVENT_NAME,
+  JOYSTICK_MOVED_EVENT_NAME,
+  TARGET_HIT_EVENT_NAME,
+  PLAY_AGAIN_EVENT_NAME,
+  IDLE_HINT_SHOWN_EVENT_NAME,
+  IDLE_HINT_HIDDEN_EVENT_NAME,
+  END_CARD_FORCED_EVENT_NAME,
+} from '../helpers/EventNames';
+
+/**
+ * IdleWatcher class counting idle and session time while rounds run
+ * Game polls hasTimedOut() after each update to end the round
+ */
+export class IdleWatcher {
+  /**
+   * Creates a new IdleWatcher listening for input on the event bus
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {Array<Joystick|DesktopInput|GamepadInput>} [joysticks=[]] - Inputs whose active flag counts as input
+   * @param {Object} [config=IDLE_CONFIG] - Hint delay and idle/session limits in seconds
+   * @constructor
+   */
+  constructor(eventBus, joysticks = [], config = IDLE_CONFIG) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Array<Joystick|DesktopInput|GamepadInput>} Inputs whose active flag counts as input */
+    this.joysticks = joysticks;
+    /** @type {Object} Hint delay and idle/session limits in seconds */
+    this.config = config;
+    /** @type {number} Seconds since the last input */
+    this.idleTime = 0;
+    /** @type {number} Seconds played in the session, across rounds */
+    this.sessionTime = 0;
+    /** @type {boolean} Flag indicating if the idle hint is shown */
+    this.isHintVisible = false;
+    /** @type {string|null} Limit that ended the current round ('idle' or 'session') */
+    this.timeoutReason = null;
+    /** @type {boolean} Flag indicating if the session limit has already ended a round */
+    this.hasSessionTimedOut = false;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Sets up listeners for input events and round restarts
+   */
+  setupEventListeners() {
+    const onInput = () => this.recordInput();
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(JOYSTICK_PRESSED_EVENT_NAME, onInput),
+      this.eventBus.on(JOYSTICK_MOVED_EVENT_NAME, onInput),
+      this.eventBus.on(TARGET_HIT_EVENT_NAME, onInput),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.timeoutReason = null;
+        this.recordInput();
+      }),
+    ];
+  }
+
+  /**
+   * Resets the idle time and hides the hint
+   */
+  recordInput() {
+    this.idleTime = 0;
+    if (this.isHintVisible) {
+      this.isHintVisible = false;
+      this.eventBus.emit(IDLE_HINT_HIDDEN_EVENT_NAME);
+    }
+  }
+
+  /**
+   * Advances the idle and session time and checks the limits
+   * A held joystick, movement key or gamepad stick counts as input, so steady movement is never idle
+   * @param {number} delta - Time delta in seconds
+   */
+  update(delta) {
+    if (this.timeoutReason !== null) return;
+
+    this.sessionTime += delta;
+    if (this.joysticks.some((joystick) => joystick.active)) {
+      this.recordInput();
+    } else {
+      this.idleTime += delta;
+    }
+
+    const { HINT_DELAY, IDLE_TIMEOUT, SESSION_TIMEOUT } = this.config;
+    if (!this.isHintVisible && HINT_DELAY > 0 && this.idleTime >= HINT_DELAY) {
+      this.isHintVisible = true;
+      this.eventBus.emit(IDLE_HINT_SHOWN_EVENT_NAME, {
+        idleTime: this.idleTime,
+      });
+    }
+
+    if (
+      SESSION_TIMEOUT > 0 &&
+      !this.hasSessionTimedOut &&
+      this.sessionTime >= SESSION_TIMEOUT
+    ) {
+      // The session limit only has to show the end card once
+      this.hasSessionTimedOut = true;
+      this.forceEndCard('session');
+    } else if (IDLE_TIMEOUT > 0 && this.idleTime >= IDLE_TIMEOUT) {
+      this.forceEndCard('idle');
+    }
+  }
+
+  /**
+   * Flags the round for ending and announces the forced end card
+   * @param {string} reason - Limit that was reached ('idle' or 'session')
+   */
+  forceEndCard(reason) {
+    this.timeoutReason = reason;
+    this.eventBus.emit(END_CARD_FORCED_EVENT_NAME, {
+      reason,
+      idleTime: this.idleTime,
+      sessionTime: this.sessionTime,
+    });
+    this.recordInput();
+  }
+
+  /**
+   * Checks if a limit has ended the current round
+   * @returns {boolean} True once the round must end
+   */
+  hasTimedOut() {
+    return this.timeoutReason !== null;
+  }
+
+  /**
+   * Gets the limit that ended the current round
+   * @returns {string|null} 'idle' or 'session', or null while no limit was reached
+   */
+  getTimeoutReason() {
+    return this.timeoutReason;
+  }
+
+  /**
+   * Disposes of the idle watcher and removes its event listeners
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
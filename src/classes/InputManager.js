@@ -0,0 +1,245 @@
+/**
+ * @fileoverview InputManager class aggregating player actions from every input source.
+ * Joysticks, keyboard and mouse, gamepad and synthetic input register as sources; once
+ * per frame the manager samples them into one snapshot of move, look, fire, reload and pause.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { INPUT_ACTIONS } from '../helpers/constants';
+import {
+  FIRE_REQUESTED_EVENT_NAME,
+  FIRE_RELEASED_EVENT_NAME,
+  RELOAD_REQUESTED_EVENT_NAME,
+} from '../helpers/EventNames';
+
+/**
+ * @typedef {Object} InputSample
+ * @property {Object} [move] - Move vector {x, y} in the joystick convention (y < 0 is forward)
+ * @property {Object} [look] - Camera rotation for this frame in radians {yaw, pitch}
+ * @property {boolean} [fire] - Whether the source holds the trigger
+ * @property {boolean} [reload] - Whether the source holds the reload button
+ * @property {boolean} [pause] - Whether the source holds the pause button
+ */
+
+/**
+ * @typedef {Object} ButtonState
+ * @property {boolean} held - Held at the end of the frame
+ * @property {boolean} pressed - Pressed since the previous frame
+ * @property {boolean} released - Released since the previous frame
+ */
+
+/**
+ * @typedef {Object} InputSnapshot
+ * @property {Object} move - Winning move vector {x, y}
+ * @property {Object} look - Winning camera rotation in radians {yaw, pitch}
+ * @property {ButtonState} fire - Trigger state
+ * @property {ButtonState} reload - Reload button state
+ * @property {ButtonState} pause - Pause button state
+ * @property {Object} sources - Id of the first source that won each vector action, or null
+ */
+
+/** Button actions, combined over every source */
+const BUTTON_ACTIONS = [
+  INPUT_ACTIONS.FIRE,
+  INPUT_ACTIONS.RELOAD,
+  INPUT_ACTIONS.PAUSE,
+];
+
+/**
+ * Adds two vector action values component by component
+ * @param {Object} a - Move {x, y} or look {yaw, pitch} value
+ * @param {Object} b - Value of the same shape
+ * @returns {Object} New value with the summed components
+ */
+const addVectors = (a, b) =>
+  Object.fromEntries(Object.keys(a).map((key) => [key, a[key] + b[key]]));
+
+/**
+ * Checks if a vector action value is set and non-zero
+ * @param {Object|undefined} value - Move {x, y} or look {yaw, pitch} value
+ * @returns {boolean} True if the value drives its action
+ */
+const isNonZero = (value) =>
+  !!value && Object.values(value).some((component) => component !== 0);
+
+/**
+ * InputManager class sampling registered sources once per frame
+ * Sources are objects with a sample(delta) method returning an InputSample. Vector actions
+ * go to the highest-priority source; sources sharing that priority blend. Presses that
+ * arrive as bus events (fire button, taps, clicks, reload key) are latched between frames,
+ * so a press and release within one frame still reach the snapshot.
+ */
+export class InputManager {
+  /**
+   * Creates a new InputManager listening for fire and reload requests
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @constructor
+   */
+  constructor(eventBus) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Array<Object>} Registered sources {id, source, priorities} */
+    this.sources = [];
+    /** @type {Object.<string, boolean>} Held state of each button in the previous snapshot */
+    this.previousHeld = {};
+    /** @type {Object.<string, Object>} Button presses received as events since the last frame */
+    this.latches = {};
+    BUTTON_ACTIONS.forEach((action) => {
+      this.previousHeld[action] = false;
+      this.latches[action] = { held: false, pressed: false, released: false };
+    });
+    /** @type {InputSnapshot} Snapshot of the current frame */
+    this.snapshot = this.createSnapshot();
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(FIRE_REQUESTED_EVENT_NAME, () => {
+        this.press(INPUT_ACTIONS.FIRE);
+      }),
+      this.eventBus.on(FIRE_RELEASED_EVENT_NAME, () => {
+        this.release(INPUT_ACTIONS.FIRE);
+      }),
+      this.eventBus.on(RELOAD_REQUESTED_EVENT_NAME, () => {
+        this.tap(INPUT_ACTIONS.RELOAD);
+      }),
+    ];
+  }
+
+  /**
+   * Registers an input source
+   * @param {string} id - Source id, reported in snapshot.sources
+   * @param {Object} source - Object with a sample(delta) method returning an InputSample
+   * @param {Object.<string, number>} [priorities={}] - Priority per vector action; higher wins
+   * @returns {Function} Function that unregisters the source
+   */
+  registerSource(id, source, priorities = {}) {
+    const entry = { id, source, priorities };
+    this.sources.push(entry);
+    return () => {
+      this.sources = this.sources.filter((other) => other !== entry);
+    };
+  }
+
+  /**
+   * Presses a button until release() is called
+   * @param {string} action - Button action, one of FIRE, RELOAD or PAUSE
+   */
+  press(action) {
+    const latch = this.latches[action];
+    latch.held = true;
+    latch.pressed = true;
+  }
+
+  /**
+   * Releases a button pressed with press()
+   * @param {string} action - Button action, one of FIRE, RELOAD or PAUSE
+   */
+  release(action) {
+    const latch = this.latches[action];
+    if (!latch.held && !latch.pressed) return;
+    latch.held = false;
+    latch.released = true;
+  }
+
+  /**
+   * Presses and releases a button within one frame
+   * @param {string} action - Button action, one of FIRE, RELOAD or PAUSE
+   */
+  tap(action) {
+    this.press(action);
+    this.release(action);
+  }
+
+  /**
+   * Samples every source and builds the snapshot of this frame
+   * Call once per frame, before any system reads the input
+   * @param {number} delta - Time delta in seconds
+   * @returns {InputSnapshot} New snapshot, also returned by getSnapshot() until the next update
+   */
+  update(delta) {
+    const samples = this.sources.map((entry) => ({
+      entry,
+      sample: entry.source.sample(delta) || {},
+    }));
+    const snapshot = this.createSnapshot();
+
+    [INPUT_ACTIONS.MOVE, INPUT_ACTIONS.LOOK].forEach((action) => {
+      let winner = null;
+      samples.forEach(({ entry, sample }) => {
+        if (!isNonZero(sample[action])) return;
+        const priority = entry.priorities[action] ?? 0;
+        if (!winner || priority > winner.priority) {
+          winner = { id: entry.id, priority, value: { ...sample[action] } };
+        } else if (priority === winner.priority) {
+          // Equal priorities blend, e.g. gyro aiming on top of the look joystick
+          winner.value = addVectors(winner.value, sample[action]);
+        }
+      });
+      if (winner) {
+        snapshot[action] = winner.value;
+        snapshot.sources[action] = winner.id;
+      }
+    });
+
+    // Blended movement keeps the joystick range
+    const moveLength = Math.hypot(snapshot.move.x, snapshot.move.y);
+    if (moveLength > 1) {
+      snapshot.move.x /= moveLength;
+      snapshot.move.y /= moveLength;
+    }
+
+    BUTTON_ACTIONS.forEach((action) => {
+      const latch = this.latches[action];
+      const held =
+        latch.held || samples.some(({ sample }) => sample[action] === true);
+      const wasHeld = this.previousHeld[action];
+
+      snapshot[action] = {
+        held,
+        pressed: latch.pressed || (held && !wasHeld),
+        released: latch.released || (!held && wasHeld),
+      };
+      this.previousHeld[action] = held;
+      latch.pressed = false;
+      latch.released = false;
+    });
+
+    this.snapshot = snapshot;
+    return snapshot;
+  }
+
+  /**
+   * Gets the snapshot of the current frame
+   * Every reader within a frame sees the same values
+   * @returns {InputSnapshot} Snapshot built by the last update()
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * Creates a snapshot with no input
+   * @returns {InputSnapshot} Idle snapshot
+   */
+  createSnapshot() {
+    const snapshot = {
+      move: { x: 0, y: 0 },
+      look: { yaw: 0, pitch: 0 },
+      sources: { move: null, look: null },
+    };
+    BUTTON_ACTIONS.forEach((action) => {
+      snapshot[action] = { held: false, pressed: false, released: false };
+    });
+    return snapshot;
+  }
+
+  /**
+   * Disposes of the input manager, removing its event listeners and sources
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.sources = [];
+  }
+}
@@ -9,8 +9,21 @@
 import {
   GAME_OVER_EVENT_NAME,
   PLAY_AGAIN_EVENT_NAME,
+  GAME_PAUSED_EVENT_NAME,
+  GAME_RESUMED_EVENT_NAME,
+  FIRE_REQUESTED_EVENT_NAME,
+  FIRE_RELEASED_EVENT_NAME,
+  JOYSTICK_PRESSED_EVENT_NAME,
+  JOYSTICK_MOVED_EVENT_NAME,
+  INPUT_SCHEME_CHANGED_EVENT_NAME,
 } from '../helpers/EventNames';
-import { JOYSTICK_CONFIG, COLORS } from '../helpers/constants';
+import {
+  JOYSTICK_CONFIG,
+  COLORS,
+  INPUT_SCHEMES,
+  GAME_CONFIG,
+  INPUT_ACTIONS,
+} from '../helpers/constants';
 
 /**
  * Joystick class for handling touch and pointer input with automatic mode detection
@@ -18,16 +31,26 @@ import { JOYSTICK_CONFIG, COLORS } from '../helpers/constants';
  */
 export class Joystick {
   /**
-   * Creates a new Joystick instance with event bus and visibility settings
+   * Creates a new Joystick instance with event bus, role and visibility settings
    * @param {EventBus} eventBus - Event bus for game communication
+   * @param {string} stickName - Role of the stick reported in input events ('move' or 'look')
    * @param {boolean} isVisible - Whether the joystick should be visually rendered
+   * @param {boolean} [tapToFire=false] - Whether a short tap or click requests a shot
    * @constructor
    */
-  constructor(eventBus, isVisible) {
+  constructor(eventBus, stickName, isVisible, tapToFire = false) {
     /** @type {EventBus} Event bus for game communication */
     this.eventBus = eventBus;
     /** @type {boolean} Flag indicating if joystick should be visually rendered */
     this.isVisible = isVisible;
+    /** @type {boolean} Flag indicating if taps on this joystick request a shot */
+    this.tapToFire = tapToFire;
+    /** @type {string} Role of the stick reported in input events ('move' or 'look') */
+    this.stickName = stickName;
+    /** @type {boolean} Flag indicating if the current press has moved beyond a tap */
+    this.hasMoved = false;
+    /** @type {Object|null} Start of the current press {x, y, time} used for tap detection */
+    this.tapStart = null;
     /** @type {Object} Current joystick input values {x, y} */
     this.joystickInput = { x: 0, y: 0 };
     /** @type {Object} Origin position of the joystick {x, y} */
@@ -95,15 +118,32 @@ export class Joystick {
 
     /** @type {boolean} Flag indicating if game is over */
     this.isGameOver = false;
-
-    this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
-      this.isGameOver = true;
-      this.resetJoystick();
-    });
-
-    this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
-      this.isGameOver = false;
-    });
+    /** @type {boolean} Flag indicating if the game loop is paused */
+    this.isPaused = false;
+    /** @type {boolean} Flag indicating if keyboard and mouse drive the game instead */
+    this.isDesktopScheme = false;
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
+        this.isGameOver = true;
+        this.resetJoystick();
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.isGameOver = false;
+      }),
+      this.eventBus.on(GAME_PAUSED_EVENT_NAME, () => {
+        this.isPaused = true;
+        this.resetJoystick();
+      }),
+      this.eventBus.on(GAME_RESUMED_EVENT_NAME, () => {
+        this.isPaused = false;
+      }),
+      this.eventBus.on(INPUT_SCHEME_CHANGED_EVENT_NAME, ({ scheme }) => {
+        this.isDesktopScheme = scheme === INPUT_SCHEMES.DESKTOP;
+        if (this.isDesktopScheme) this.resetJoystick();
+      }),
+    ];
   }
 
   /**
@@ -219,7 +259,8 @@ export class Joystick {
    * @param {PointerEvent} e - Pointer event object
    */
   handlePointerDown(e) {
-    if (!this.pointerEventsEnabled) return;
+    // Mouse drags only emulate the joysticks outside the desktop scheme
+    if (!this.pointerEventsEnabled || this.isDesktopScheme) return;
     this.startJoystick(e.clientX, e.clientY);
   }
 
@@ -234,9 +275,11 @@ export class Joystick {
 
   /**
    * Handles pointer up events for desktop input
+   * @param {PointerEvent} e - Pointer event object
    */
-  handlePointerUp() {
+  handlePointerUp(e) {
     if (!this.pointerEventsEnabled) return;
+    this.checkTap(e.clientX, e.clientY, 'click');
     this.resetJoystick();
   }
 
@@ -293,6 +336,7 @@ export class Joystick {
     for (let i = 0; i < e.changedTouches.length; i++) {
       const touch = e.changedTouches[i];
       if (touch.identifier === this.touchId) {
+        this.checkTap(touch.clientX, touch.clientY, 'tap');
         this.resetJoystick();
         this.touchId = null;
         break;
@@ -306,7 +350,7 @@ export class Joystick {
    * @param {number} clientY - Y coordinate of the input event
    */
   startJoystick(clientX, clientY) {
-    if (this.isGameOver) return;
+    if (this.isGameOver || this.isPaused) return;
 
     if (this.isVisible) {
       if (clientX > window.innerWidth / 2) return; // Only left half allowed
@@ -315,13 +359,61 @@ export class Joystick {
     }
 
     this.active = true;
+    this.hasMoved = false;
     this.origin = { x: clientX, y: clientY };
+    this.tapStart = { x: clientX, y: clientY, time: performance.now() };
+    this.eventBus.emit(JOYSTICK_PRESSED_EVENT_NAME, { stick: this.stickName });
 
     if (this.isVisible) {
       this.showJoystick();
     }
   }
 
+  /**
+   * Requests a shot if the press that just ended was a short, nearly stationary tap
+   * @param {number} clientX - X coordinate where the press ended
+   * @param {number} clientY - Y coordinate where the press ended
+   * @param {string} source - Fire request source ('tap' or 'click')
+   */
+  checkTap(clientX, clientY, source) {
+    if (!this.tapToFire || !this.active || !this.tapStart) return;
+
+    const duration = performance.now() - this.tapStart.time;
+    const distance = Math.hypot(
+      clientX - this.tapStart.x,
+      clientY - this.tapStart.y
+    );
+    this.tapStart = null;
+
+    if (
+      duration <= JOYSTICK_CONFIG.TAP_MAX_DURATION &&
+      distance <= JOYSTICK_CONFIG.TAP_MAX_DISTANCE
+    ) {
+      // A tap is a complete trigger pull: press and release at once
+      this.eventBus.emit(FIRE_REQUESTED_EVENT_NAME, { source });
+      this.eventBus.emit(FIRE_RELEASED_EVENT_NAME, { source });
+    }
+  }
+
+  /**
+   * Announces the current press as a drag once it leaves the tap distance
+   * Emitted at most once per press, so listeners are not flooded with moves
+   * @param {number} clientX - Current X coordinate of the press
+   * @param {number} clientY - Current Y coordinate of the press
+   */
+  checkMoved(clientX, clientY) {
+    if (this.hasMoved || !this.tapStart) return;
+
+    const distance = Math.hypot(
+      clientX - this.tapStart.x,
+      clientY - this.tapStart.y
+    );
+    if (distance > JOYSTICK_CONFIG.TAP_MAX_DISTANCE) {
+      this.hasMoved = true;
+      this.eventBus.emit(JOYSTICK_MOVED_EVENT_NAME, { stick: this.stickName });
+    }
+  }
+
   /**
    * Resets joystick state to inactive and clears input values
    */
@@ -340,7 +432,7 @@ export class Joystick {
    * @param {number} clientY - Y coordinate of the input event
    */
   updateJoystickPosition(clientX, clientY) {
-    if (this.isGameOver) return;
+    if (this.isGameOver || this.isPaused) return;
 
     const dx = clientX - this.origin.x;
     const dy = clientY - this.origin.y;
@@ -353,6 +445,7 @@ export class Joystick {
 
     this.joystickInput.x = offsetX / this.maxRadius;
     this.joystickInput.y = offsetY / this.maxRadius;
+    this.checkMoved(clientX, clientY);
 
     if (this.isVisible) {
       this.updateStickPosition(offsetX, offsetY);
@@ -369,6 +462,26 @@ export class Joystick {
     this.joystickInput = { x: 0, y: 0 };
   }
 
+  /**
+   * Returns the joystick's action for this frame
+   * Input source sampled by the InputManager: the move stick reports its deflection, the
+   * look stick turns the camera by the drag since the last frame and is cleared afterwards
+   * @param {number} delta - Time delta in seconds
+   * @returns {InputSample} Move vector or look rotation
+   */
+  sample(delta) {
+    if (this.stickName === INPUT_ACTIONS.MOVE) {
+      return { move: { ...this.joystickInput } };
+    }
+
+    const look = {
+      yaw: -this.joystickInput.x * delta * GAME_CONFIG.ROTATION_SPEED,
+      pitch: -this.joystickInput.y * delta * GAME_CONFIG.ROTATION_SPEED,
+    };
+    this.resetJoystickInput();
+    return { look };
+  }
+
   /**
    * Shows the visible joystick at the origin position
    */
@@ -420,6 +533,8 @@ export class Joystick {
    */
   createStyles() {
     const style = document.createElement('style');
+    /** @type {HTMLStyleElement} Injected joystick stylesheet */
+    this.styleEl = style;
     style.textContent = `
     #joy-container{
       position:fixed; inset:0; touch-action:none; z-index:999; pointer-events: none;
@@ -516,4 +631,30 @@ export class Joystick {
     // Update event mode
     this.updateEventMode();
   }
+
+  /**
+   * Disposes of the joystick
+   * Removes window and event bus listeners, DOM elements and injected styles
+   */
+  dispose() {
+    window.removeEventListener('pointerdown', this.handlePointerDown);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('touchstart', this.handleTouchStart);
+    window.removeEventListener('touchmove', this.handleTouchMove);
+    window.removeEventListener('touchend', this.handleTouchEnd);
+    window.removeEventListener('touchcancel', this.handleTouchEnd);
+    window.removeEventListener('resize', this.resizeHandler);
+    this.pointerListeners = [];
+    this.touchListeners = [];
+
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    if (this.styleEl && this.styleEl.parentNode) {
+      this.styleEl.parentNode.removeChild(this.styleEl);
+    }
+  }
 }
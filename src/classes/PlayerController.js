@@ -1,6 +1,6 @@
 /**
  * @fileoverview PlayerController class managing player movement, camera control, and weapon animations.
- * Handles player input, weapon firing mechanics, and debug controls for development.
+ * Handles player input, weapon firing mechanics, weapon switching, and debug controls for development.
  *
  * @author Alper Açık
  * @version 1.0.0
@@ -12,14 +12,31 @@ import {
   Y_AXIS_VECTOR,
   GAME_CONFIG,
   ANIMATION_CONFIG,
+  SPREAD_CONFIG,
+  TRIGGER_MODES,
 } from '../helpers/constants';
 import { detectFPS } from '../helpers/utils';
 import { OrbitControls } from 'three/examples/jsm/Addons.js';
 import {
   GAME_OVER_EVENT_NAME,
   PLAY_AGAIN_EVENT_NAME,
-  SHOOTING_EVENT_NAME,
+  WEAPON_FIRED_EVENT_NAME,
+  WEAPON_RELOADED_EVENT_NAME,
+  WEAPON_EMPTY_EVENT_NAME,
+  WEAPON_RELOAD_STARTED_EVENT_NAME,
+  WEAPON_SWITCH_REQUESTED_EVENT_NAME,
+  WEAPON_SWITCHED_EVENT_NAME,
+  WEAPON_INSPECT_REQUESTED_EVENT_NAME,
 } from '../helpers/EventNames';
+import { WeaponStateMachine } from './WeaponStateMachine';
+
+/** Weapon animation state names */
+const { DEPLOY, FIRE, RELOAD, INSPECT } = Object.fromEntries(
+  Object.entries(ANIMATION_CONFIG.WEAPON_ACTIONS).map(([key, { name }]) => [
+    key,
+    name,
+  ])
+);
 
 /**
  * PlayerController class managing player movement, camera, and weapon systems
@@ -29,23 +46,14 @@ export class PlayerController {
   /**
    * Creates a new PlayerController instance with weapon and animation setup
    * @param {THREE.Scene} scene - The main game scene
-   * @param {THREE.Group} weaponObj - Weapon 3D model object
-   * @param {THREE.Group} weaponAnimObj - Weapon animation object
+   * @param {Array<Object>} weapons - Loadout entries { id, definition, model, animationObj }, in slot order
    * @param {boolean} enableDebug - Enable debug controls and visualization
    * @param {THREE.WebGLRenderer} renderer - WebGL renderer for debug controls
    * @param {THREE.Raycaster} raycaster - Raycaster for hit detection
    * @param {EventBus} eventBus - Event bus for game communication
    * @constructor
    */
-  constructor(
-    scene,
-    weaponObj,
-    weaponAnimObj,
-    enableDebug,
-    renderer,
-    raycaster,
-    eventBus
-  ) {
+  constructor(scene, weapons, enableDebug, renderer, raycaster, eventBus) {
     /** @type {boolean} Debug mode flag for development features */
     this.enableDebug = enableDebug;
     /** @type {THREE.WebGLRenderer} WebGL renderer for debug controls */
@@ -58,8 +66,7 @@ export class PlayerController {
     this.scene = scene;
 
     this.setupPlayer();
-    this.setupWeapon(weaponObj);
-    this.setupWeaponAnimations(weaponAnimObj);
+    this.setupWeapons(weapons);
     this.setupDebugControls();
     this.setupEventListeners();
     this.setupInitialState();
@@ -91,55 +98,90 @@ export class PlayerController {
   }
 
   /**
-   * Sets up the weapon model with proper positioning and scaling
-   * @param {THREE.Group} weaponObj - Weapon 3D model to setup
+   * Builds every weapon of the loadout
+   * Only the equipped weapon is attached to the camera
+   * @param {Array<Object>} weapons - Loadout entries { id, definition, model, animationObj }
    */
-  setupWeapon(weaponObj) {
-    /** @type {THREE.Group} Weapon 3D model object */
-    this.weaponObj = weaponObj;
-    this.weaponObj.rotateOnAxis(Y_AXIS_VECTOR, GAME_CONFIG.WEAPON_Y_ROTATION);
-    this.weaponObj.rotateOnAxis(X_AXIS_VECTOR, GAME_CONFIG.WEAPON_X_ROTATION);
-    this.weaponObj.position.y += GAME_CONFIG.WEAPON_Y_OFFSET;
-    this.weaponObj.position.z += GAME_CONFIG.WEAPON_Z_OFFSET;
-    this.weaponObj.scale.setScalar(GAME_CONFIG.WEAPON_SCALE);
-    this.camera.add(this.weaponObj);
+  setupWeapons(weapons) {
+    /** @type {Array<Object>} Weapons in slot order: { id, definition, obj, mixer, stateMachine, magAmmo, initialPosition, initialRotation } */
+    this.weapons = weapons.map(({ id, definition, model, animationObj }) =>
+      this.createWeapon(id, definition, model, animationObj)
+    );
+    /** @type {Object|null} Currently equipped weapon entry */
+    this.currentWeapon = null;
   }
 
   /**
-   * Sets up weapon animations and creates animation mixer
-   * @param {THREE.Group} weaponAnimObj - Weapon animation object
+   * Creates a weapon entry with its view-model transform and animation state machine
+   * @param {string} id - WEAPON_DEFINITIONS key
+   * @param {Object} definition - Weapon definition
+   * @param {THREE.Group} model - Weapon 3D model (a clone when the asset is shared)
+   * @param {THREE.Group} animationObj - FBX holding the weapon animation clip
+   * @returns {Object} Weapon entry
    */
-  setupWeaponAnimations(weaponAnimObj) {
-    /** @type {string} Current weapon animation action name */
-    this.currentWeaponActionName = '';
-    /** @type {THREE.AnimationMixer} Weapon animation mixer */
-    this.weaponMixer = new THREE.AnimationMixer(this.weaponObj);
-    const weaponClip = weaponAnimObj.animations[0];
+  createWeapon(id, definition, model, animationObj) {
+    const { scale, offset, rotation } = definition.viewModel;
+    model.rotateOnAxis(Y_AXIS_VECTOR, rotation.y);
+    model.rotateOnAxis(X_AXIS_VECTOR, rotation.x);
+    model.position.x += offset.x;
+    model.position.y += offset.y;
+    model.position.z += offset.z;
+    model.scale.setScalar(scale);
+
+    const mixer = new THREE.AnimationMixer(model);
+    const weaponClip = animationObj.animations[0];
     const weaponClipFPS = weaponClip.frameRate ?? detectFPS(weaponClip);
 
-    /** @type {Map<string, THREE.AnimationAction>} Map of weapon animation actions */
-    this.weaponActionsMap = new Map();
-    this.createWeaponActions(weaponClip, weaponClipFPS);
+    const weapon = {
+      id,
+      definition,
+      obj: model,
+      mixer,
+      magAmmo: definition.magazineSize,
+      initialPosition: model.position.clone(),
+      initialRotation: model.rotation.clone(),
+    };
+    weapon.stateMachine = new WeaponStateMachine(
+      id,
+      mixer,
+      this.createWeaponActions(
+        mixer,
+        definition.frameRanges,
+        weaponClip,
+        weaponClipFPS
+      ),
+      this.eventBus,
+      (state) => this.handleWeaponStateComplete(weapon, state)
+    );
+    return weapon;
   }
 
   /**
    * Creates weapon animation actions from the animation clip
+   * @param {THREE.AnimationMixer} mixer - Mixer of the weapon model
+   * @param {Object.<string, Object>} frameRanges - { start, end } per ANIMATION_CONFIG.WEAPON_ACTIONS key
    * @param {THREE.AnimationClip} weaponClip - Weapon animation clip
    * @param {number} weaponClipFPS - Frame rate of the weapon animation
+   * @returns {Map<string, THREE.AnimationAction>} Actions by action name
    */
-  createWeaponActions(weaponClip, weaponClipFPS) {
-    Object.entries(ANIMATION_CONFIG.WEAPON_ACTIONS).forEach(([, action]) => {
-      const clipAction = this.weaponMixer.clipAction(
+  createWeaponActions(mixer, frameRanges, weaponClip, weaponClipFPS) {
+    const actionsMap = new Map();
+    Object.entries(ANIMATION_CONFIG.WEAPON_ACTIONS).forEach(([key, action]) => {
+      // Weapons without a take for an optional state (e.g. INSPECT) simply lack that state
+      if (!frameRanges[key]) return;
+      const { start, end } = frameRanges[key];
+      const clipAction = mixer.clipAction(
         THREE.AnimationUtils.subclip(
           weaponClip,
           action.name.charAt(0).toUpperCase() + action.name.slice(1),
-          action.start,
-          action.end,
+          start,
+          end,
           weaponClipFPS
         )
       );
-      this.weaponActionsMap.set(action.name, clipAction);
+      actionsMap.set(action.name, clipAction);
     });
+    return actionsMap;
   }
 
   /**
@@ -193,50 +235,55 @@ export class PlayerController {
    * Handles game over and play again events
    */
   setupEventListeners() {
-    this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
-      this.resetRotation();
-      this.canFire = false;
-    });
-
-    this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
-      this.resetToInitialState();
-    });
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
+        this.resetRotation();
+        this.isGameOver = true;
+        this.releaseTrigger();
+        this.queuedShots = 0;
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.resetToInitialState();
+      }),
+      this.eventBus.on(WEAPON_SWITCH_REQUESTED_EVENT_NAME, ({ index }) => {
+        this.requestWeaponSwitch(index);
+      }),
+      this.eventBus.on(WEAPON_INSPECT_REQUESTED_EVENT_NAME, () => {
+        this.requestInspect();
+      }),
+    ];
   }
 
   /**
    * Sets up initial player state and weapon deployment
-   * Initializes rotation, ammo, and plays weapon deploy animation
+   * Initializes rotation and equips the first weapon of the loadout
    */
   setupInitialState() {
     /** @type {Object} Current rotation state with yaw and pitch */
     this.rotationState = { yaw: 0, pitch: 0 };
-    /** @type {boolean} Flag indicating if weapon can fire */
-    this.canFire = false;
-    /** @type {number} Current ammunition in magazine */
-    this.magAmmo = GAME_CONFIG.MAX_MAG_AMMO;
+    /** @type {number} Seconds until the next round can be fired, from the weapon fireRate */
+    this.fireCooldown = 0;
+    /** @type {boolean} Flag indicating if the trigger is held (full-auto keeps firing) */
+    this.isTriggerHeld = false;
+    /** @type {number} Shots still to fire from the last trigger pull (burst) */
+    this.queuedShots = 0;
+    /** @type {boolean} Flag indicating if the round has ended */
+    this.isGameOver = false;
+    /** @type {number} Spread accumulated by consecutive shots in radians */
+    this.shotSpread = 0;
+    /** @type {number} Spread caused by movement in radians */
+    this.movementSpread = 0;
 
     /** @type {Object} Initial state data for reset functionality */
     this.initialData = {
-      weaponObjPosition: this.weaponObj.position.clone(),
-      weaponObjRotation: this.weaponObj.rotation.clone(),
       obj3DPosition: this.obj3D.position.clone(),
       obj3DRotation: this.obj3D.rotation.clone(),
       cameraPosition: this.camera.position.clone(),
       cameraRotation: this.camera.rotation.clone(),
     };
 
-    this.playWeaponAnim(
-      ANIMATION_CONFIG.WEAPON_ACTIONS.DEPLOY.name,
-      () => {
-        this.canFire = true;
-        this.playWeaponAnim(
-          ANIMATION_CONFIG.WEAPON_ACTIONS.IDLE.name,
-          null,
-          true
-        );
-      },
-      false
-    );
+    this.activateWeapon(this.weapons[0]);
   }
 
   /**
@@ -249,114 +296,243 @@ export class PlayerController {
 
   /**
    * Resets player to initial state including position, rotation, and ammo
-   * Restores all initial data and plays weapon deploy animation
+   * Refills every magazine and re-equips the first weapon of the loadout
    */
   resetToInitialState() {
     this.obj3D.position.copy(this.initialData.obj3DPosition);
     this.obj3D.rotation.copy(this.initialData.obj3DRotation);
     this.camera.position.copy(this.initialData.cameraPosition);
     this.camera.rotation.copy(this.initialData.cameraRotation);
-    this.weaponObj.position.copy(this.initialData.weaponObjPosition);
-    this.weaponObj.rotation.copy(this.initialData.weaponObjRotation);
-    this.magAmmo = GAME_CONFIG.MAX_MAG_AMMO;
-
-    this.playWeaponAnim(
-      ANIMATION_CONFIG.WEAPON_ACTIONS.DEPLOY.name,
-      () => {
-        this.canFire = true;
-        this.playWeaponAnim(
-          ANIMATION_CONFIG.WEAPON_ACTIONS.IDLE.name,
-          null,
-          true
-        );
-      },
-      false
-    );
+    this.weapons.forEach((weapon) => {
+      weapon.obj.position.copy(weapon.initialPosition);
+      weapon.obj.rotation.copy(weapon.initialRotation);
+      weapon.magAmmo = weapon.definition.magazineSize;
+    });
+    this.isGameOver = false;
+    this.shotSpread = 0;
+    this.movementSpread = 0;
+    this.fireCooldown = 0;
+    this.releaseTrigger();
+
+    this.activateWeapon(this.weapons[0]);
+  }
+
+  /**
+   * Equips the weapon in a loadout slot, or cycles to the next one
+   * Ignored after the round has ended or when the slot is already equipped
+   * @param {number} [index] - WEAPON_LOADOUT slot; omitted cycles to the next weapon
+   * @returns {boolean} True if the weapon was switched
+   */
+  requestWeaponSwitch(index) {
+    if (this.isGameOver) return false;
+
+    const currentIndex = this.weapons.indexOf(this.currentWeapon);
+    const nextIndex = index ?? (currentIndex + 1) % this.weapons.length;
+    const weapon = this.weapons[nextIndex];
+    if (!weapon || weapon === this.currentWeapon) return false;
+
+    this.activateWeapon(weapon);
+    return true;
+  }
+
+  /**
+   * Swaps the weapon attached to the camera and plays its deploy animation
+   * An interrupted reload is dropped; the magazine keeps its rounds
+   * @param {Object} weapon - Weapon entry to equip
+   */
+  activateWeapon(weapon) {
+    if (this.currentWeapon) {
+      this.currentWeapon.stateMachine.stop();
+      this.camera.remove(this.currentWeapon.obj);
+    }
+
+    this.currentWeapon = weapon;
+    this.queuedShots = 0;
+    this.camera.add(weapon.obj);
+
+    this.eventBus.emit(WEAPON_SWITCHED_EVENT_NAME, {
+      weaponId: weapon.id,
+      name: weapon.definition.name,
+      magAmmo: weapon.magAmmo,
+      maxMagAmmo: weapon.definition.magazineSize,
+    });
+
+    weapon.stateMachine.transition(DEPLOY, { force: true });
+  }
+
+  /**
+   * Handles a weapon state that played to its end
+   * A completed reload refills the magazine; the state machine then returns to idle
+   * @param {Object} weapon - Weapon entry whose state completed
+   * @param {string} state - Completed state name
+   */
+  handleWeaponStateComplete(weapon, state) {
+    if (state !== RELOAD) return;
+
+    weapon.magAmmo = weapon.definition.magazineSize;
+    this.eventBus.emit(WEAPON_RELOADED_EVENT_NAME, {
+      magAmmo: weapon.magAmmo,
+      maxMagAmmo: weapon.definition.magazineSize,
+    });
+  }
+
+  /**
+   * Plays the inspect animation when the weapon is idle
+   * @returns {boolean} True if the inspect animation started
+   */
+  requestInspect() {
+    if (this.isGameOver) return false;
+    return this.currentWeapon.stateMachine.transition(INSPECT);
+  }
+
+  /**
+   * Gets the animation state of the equipped weapon
+   * @returns {string|null} One of the ANIMATION_CONFIG.WEAPON_ACTIONS names
+   */
+  getWeaponState() {
+    return this.currentWeapon.stateMachine.getState();
   }
 
   /**
    * Checks if the weapon is ready to fire
-   * @returns {boolean} True if weapon can fire and has ammo, false otherwise
+   * @returns {boolean} True if the fire state can be entered, the weapon is off cooldown and has ammo
    */
   isWeaponReady() {
-    return this.canFire && this.magAmmo > 0;
+    return (
+      !this.isGameOver &&
+      this.fireCooldown <= 0 &&
+      this.currentWeapon.magAmmo > 0 &&
+      this.currentWeapon.stateMachine.canTransition(FIRE)
+    );
+  }
+
+  /**
+   * Pulls the trigger, queueing one shot or a full burst
+   * A pull during a burst is ignored until the burst has been fired
+   */
+  pullTrigger() {
+    if (this.isGameOver) return;
+
+    const { triggerMode, burstCount } = this.currentWeapon.definition;
+    this.isTriggerHeld = true;
+    if (this.queuedShots === 0) {
+      this.queuedShots = triggerMode === TRIGGER_MODES.BURST ? burstCount : 1;
+    }
   }
 
   /**
-   * Plays a weapon animation with optional callback and loop settings
-   * @param {string} actionName - Name of the animation action to play
-   * @param {Function|null} [onCompleteCallback=null] - Callback function when animation completes
-   * @param {boolean} [loop=true] - Whether the animation should loop
+   * Releases the trigger; queued shots of a burst are still fired
    */
-  playWeaponAnim(actionName, onCompleteCallback = null, loop = true) {
-    const action = this.weaponActionsMap.get(actionName);
+  releaseTrigger() {
+    this.isTriggerHeld = false;
+  }
+
+  /**
+   * Checks if the trigger state asks for a shot this frame
+   * @returns {boolean} True if the weapon is ready and a shot is queued or held in full-auto
+   */
+  wantsToFire() {
+    if (!this.isWeaponReady()) return false;
+
+    const isFullAuto =
+      this.currentWeapon.definition.triggerMode === TRIGGER_MODES.FULL_AUTO;
+    return this.queuedShots > 0 || (isFullAuto && this.isTriggerHeld);
+  }
 
-    if (this.currentWeaponActionName === actionName) {
-      return;
+  /**
+   * Counts down the fire cooldown and starts the reload once an empty magazine has cooled down
+   * Runs every frame, independently of the weapon animations
+   * @param {number} delta - Time delta in seconds
+   */
+  updateFiring(delta) {
+    this.fireCooldown = Math.max(0, this.fireCooldown - delta);
+
+    if (
+      !this.isGameOver &&
+      this.fireCooldown === 0 &&
+      this.currentWeapon.magAmmo === 0 &&
+      this.currentWeapon.stateMachine.canTransition(RELOAD)
+    ) {
+      this.reload();
     }
+  }
+
+  /**
+   * Gets the definition of the equipped weapon
+   * @returns {Object} Entry of WEAPON_DEFINITIONS
+   */
+  getCurrentWeapon() {
+    return this.currentWeapon.definition;
+  }
 
-    this.currentWeaponActionName = actionName;
-
-    if (onCompleteCallback) {
-      const onCompleteCallbackWrapper = () => {
-        onCompleteCallback();
-        this.weaponMixer.removeEventListener(
-          'finished',
-          onCompleteCallbackWrapper
-        );
-      };
-      this.weaponMixer.addEventListener('finished', onCompleteCallbackWrapper);
+  /**
+   * Fires the weapon, decrements ammo, starts the fire cooldown and enters the fire state
+   * The animation is cosmetic: the fire rate and the reload on an empty magazine
+   * are driven by updateFiring
+   * @param {boolean} [hit=false] - Whether the shot hit a target
+   */
+  fireWeapon(hit = false) {
+    const weapon = this.currentWeapon;
+    weapon.magAmmo--;
+    this.fireCooldown = 60 / weapon.definition.fireRate;
+    this.queuedShots = Math.max(0, this.queuedShots - 1);
+    this.shotSpread += weapon.definition.spreadPerShot;
+
+    // Emit fired event for crosshair animation and stats
+    this.eventBus.emit(WEAPON_FIRED_EVENT_NAME, {
+      hit,
+      magAmmo: weapon.magAmmo,
+      maxMagAmmo: weapon.definition.magazineSize,
+    });
+    if (weapon.magAmmo === 0) {
+      this.eventBus.emit(WEAPON_EMPTY_EVENT_NAME, {
+        maxMagAmmo: weapon.definition.magazineSize,
+      });
     }
 
-    action
-      .reset()
-      .setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, loop ? Infinity : 1)
-      .play();
+    weapon.stateMachine.transition(FIRE);
+  }
 
-    if (!loop) {
-      action.clampWhenFinished = true;
+  /**
+   * Reloads the weapon early if the magazine is not full
+   * Ignored while reloading, deploying or after the round has ended
+   * @returns {boolean} True if the reload started
+   */
+  requestReload() {
+    const { stateMachine, magAmmo, definition } = this.currentWeapon;
+    if (
+      this.isGameOver ||
+      magAmmo >= definition.magazineSize ||
+      !stateMachine.canTransition(RELOAD)
+    ) {
+      return false;
     }
+    this.reload();
+    return true;
   }
 
   /**
-   * Fires the weapon, decrements ammo, and plays fire animation
-   * Handles reload animation when magazine is empty
-   */
-  fireWeapon() {
-    this.magAmmo--;
-    this.canFire = false;
-
-    // Emit shooting event for crosshair animation
-    this.eventBus.emit(SHOOTING_EVENT_NAME);
-
-    this.playWeaponAnim(
-      ANIMATION_CONFIG.WEAPON_ACTIONS.FIRE.name,
-      () => {
-        if (this.magAmmo > 0) {
-          this.canFire = true;
-          this.playWeaponAnim(
-            ANIMATION_CONFIG.WEAPON_ACTIONS.IDLE.name,
-            null,
-            true
-          );
-        } else {
-          this.playWeaponAnim(
-            ANIMATION_CONFIG.WEAPON_ACTIONS.RELOAD.name,
-            () => {
-              this.magAmmo = GAME_CONFIG.MAX_MAG_AMMO;
-              this.canFire = true;
-              this.playWeaponAnim(
-                ANIMATION_CONFIG.WEAPON_ACTIONS.IDLE.name,
-                null,
-                true
-              );
-            },
-            false
-          );
-        }
-      },
-      false
-    );
+   * Enters the reload state; the magazine is refilled when it completes
+   */
+  reload() {
+    const { stateMachine, magAmmo } = this.currentWeapon;
+    if (!stateMachine.transition(RELOAD)) return;
+    this.queuedShots = 0;
+
+    this.eventBus.emit(WEAPON_RELOAD_STARTED_EVENT_NAME, {
+      magAmmo,
+      duration: stateMachine.actionsMap.get(RELOAD).getClip().duration,
+    });
+  }
+
+  /**
+   * Gets the progress of the reload animation
+   * @returns {number|null} Progress between 0 and 1, or null when not reloading
+   */
+  getReloadProgress() {
+    const { stateMachine } = this.currentWeapon;
+    if (stateMachine.getState() !== RELOAD) return null;
+    return stateMachine.getProgress();
   }
 
   /**
@@ -364,7 +540,7 @@ export class PlayerController {
    * @param {number} delta - Time delta for animation updates
    */
   updateMixer(delta) {
-    if (this.weaponMixer) this.weaponMixer.update(delta);
+    if (this.currentWeapon) this.currentWeapon.mixer.update(delta);
   }
 
   /**
@@ -377,7 +553,10 @@ export class PlayerController {
     this.obj3D.rotation.y = rotationState.yaw;
     this.camera.rotation.x = rotationState.pitch;
 
-    if (direction.lengthSq() > 0) {
+    const isMoving = direction.lengthSq() > 0;
+    this.updateSpread(isMoving, delta);
+
+    if (isMoving) {
       direction.normalize().applyAxisAngle(Y_AXIS_VECTOR, rotationState.yaw);
       direction.multiplyScalar(GAME_CONFIG.MOVE_SPEED * delta);
 
@@ -404,6 +583,36 @@ export class PlayerController {
     }
   }
 
+  /**
+   * Recovers shot spread and moves the movement spread toward its target
+   * @param {boolean} isMoving - Whether the player moved this frame
+   * @param {number} delta - Time delta in seconds
+   */
+  updateSpread(isMoving, delta) {
+    const step = SPREAD_CONFIG.RECOVERY_RATE * delta;
+    this.shotSpread = Math.max(0, this.shotSpread - step);
+
+    const targetMovementSpread = isMoving ? SPREAD_CONFIG.MOVING_SPREAD : 0;
+    this.movementSpread += Math.max(
+      -step,
+      Math.min(step, targetMovementSpread - this.movementSpread)
+    );
+  }
+
+  /**
+   * Gets the current spread cone of the equipped weapon
+   * Weapon base spread plus shot and movement spread, capped at SPREAD_CONFIG.MAX_SPREAD
+   * @returns {number} Cone half-angle in radians
+   */
+  getSpread() {
+    return Math.min(
+      SPREAD_CONFIG.MAX_SPREAD,
+      this.currentWeapon.definition.spread +
+        this.shotSpread +
+        this.movementSpread
+    );
+  }
+
   /**
    * Gets the main game camera
    * @returns {THREE.PerspectiveCamera} The main game camera
@@ -411,4 +620,29 @@ export class PlayerController {
   getCamera() {
     return this.camera;
   }
+
+  /**
+   * Disposes of the player controller
+   * Stops weapon animations, removes event listeners, debug helpers and the player from the scene
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+    this.weapons.forEach(({ obj, mixer, stateMachine }) => {
+      stateMachine.dispose();
+      mixer.uncacheRoot(obj);
+    });
+    this.camera.remove(this.currentWeapon.obj);
+
+    if (this.enableDebug) {
+      this.orbitControls.dispose();
+      this.scene.remove(this.cameraHelper);
+      this.cameraHelper.dispose();
+      this.scene.remove(this.boundaryVisualization);
+      this.boundaryVisualization.geometry.dispose();
+      this.boundaryVisualization.material.dispose();
+    }
+
+    this.scene.remove(this.obj3D);
+  }
 }
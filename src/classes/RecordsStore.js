@@ -0,0 +1,182 @@
+/**
+ * @fileoverview RecordsStore class persisting best results and lifetime statistics.
+ * Keeps the best score and best winning time per target configuration, lifetime kills
+ * and the number of sessions, and reports new bests when a round ends.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import {
+  STORAGE_CONFIG,
+  GAME_RESULTS,
+  CURRENT_TARGET_CONFIG_NAME,
+} from '../helpers/constants';
+import {
+  GAME_STARTED_EVENT_NAME,
+  GAME_OVER_EVENT_NAME,
+  RECORDS_UPDATED_EVENT_NAME,
+} from '../helpers/EventNames';
+import { getStorage } from '../helpers/storage';
+
+/**
+ * RecordsStore class saving records as one JSON entry in Web Storage
+ * Unreadable or outdated entries are replaced by empty records
+ */
+export class RecordsStore {
+  /**
+   * Creates a new RecordsStore and loads the saved records
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {Storage|Object} [storage=getStorage()] - localStorage or an in-memory fallback
+   * @param {string} [configName=CURRENT_TARGET_CONFIG_NAME] - TARGET_CONFIGS key the records are kept under
+   * @constructor
+   */
+  constructor(
+    eventBus,
+    storage = getStorage(),
+    configName = CURRENT_TARGET_CONFIG_NAME
+  ) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Storage|Object} Storage the records are saved in */
+    this.storage = storage;
+    /** @type {string} TARGET_CONFIGS key of the active configuration */
+    this.configName = configName;
+    /** @type {Object} Records { version, bestScores, bestTimes, lifetimeKills, sessions } */
+    this.records = this.load();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Creates empty records
+   * @returns {Object} Records with no bests and zeroed counters
+   */
+  createEmptyRecords() {
+    return {
+      version: STORAGE_CONFIG.VERSION,
+      bestScores: {},
+      bestTimes: {},
+      lifetimeKills: 0,
+      sessions: 0,
+    };
+  }
+
+  /**
+   * Reads the records from storage
+   * @returns {Object} Saved records, or empty records when missing, corrupt or outdated
+   */
+  load() {
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_CONFIG.KEY));
+      if (saved?.version === STORAGE_CONFIG.VERSION) return saved;
+    } catch (error) {
+      console.warn('[RecordsStore] Ignoring unreadable records', error);
+    }
+    return this.createEmptyRecords();
+  }
+
+  /**
+   * Writes the records to storage
+   * A failed write (quota, storage revoked) keeps the records in memory only
+   */
+  save() {
+    try {
+      this.storage.setItem(STORAGE_CONFIG.KEY, JSON.stringify(this.records));
+    } catch (error) {
+      console.warn('[RecordsStore] Could not save records', error);
+    }
+  }
+
+  /**
+   * Sets up listeners counting sessions and recording round results
+   */
+  setupEventListeners() {
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_STARTED_EVENT_NAME, () => {
+        this.records.sessions++;
+        this.save();
+      }),
+      this.eventBus.on(GAME_OVER_EVENT_NAME, ({ result, stats }) => {
+        this.recordRound(result, stats);
+      }),
+    ];
+  }
+
+  /**
+   * Records a finished round and announces the updated records
+   * Only won rounds set a best time
+   * @param {string} result - One of the GAME_RESULTS values
+   * @param {GameStats} stats - Round statistics
+   */
+  recordRound(result, stats) {
+    const { bestScores, bestTimes } = this.records;
+    const previousScore = bestScores[this.configName];
+    const previousTime = bestTimes[this.configName];
+
+    const isNewBestScore =
+      stats.score > 0 &&
+      (previousScore === undefined || stats.score > previousScore);
+    const isNewBestTime =
+      result === GAME_RESULTS.WIN &&
+      (previousTime === undefined || stats.elapsedTime < previousTime);
+
+    if (isNewBestScore) bestScores[this.configName] = stats.score;
+    if (isNewBestTime) bestTimes[this.configName] = stats.elapsedTime;
+    this.records.lifetimeKills += stats.killCount;
+    this.save();
+
+    this.eventBus.emit(RECORDS_UPDATED_EVENT_NAME, {
+      configName: this.configName,
+      bestScore: this.getBestScore(),
+      bestTime: this.getBestTime(),
+      isNewBestScore,
+      isNewBestTime,
+      lifetimeKills: this.records.lifetimeKills,
+      sessions: this.records.sessions,
+    });
+  }
+
+  /**
+   * Gets the best score of the active configuration
+   * @returns {number} Best score, 0 when none was recorded
+   */
+  getBestScore() {
+    return this.records.bestScores[this.configName] ?? 0;
+  }
+
+  /**
+   * Gets the best winning time of the active configuration
+   * @returns {number|null} Best time in seconds, or null when never won
+   */
+  getBestTime() {
+    return this.records.bestTimes[this.configName] ?? null;
+  }
+
+  /**
+   * Gets the lifetime statistics
+   * @returns {Object} { lifetimeKills, sessions }
+   */
+  getLifetimeStats() {
+    return {
+      lifetimeKills: this.records.lifetimeKills,
+      sessions: this.records.sessions,
+    };
+  }
+
+  /**
+   * Deletes every record, in memory and in storage
+   */
+  clear() {
+    this.records = this.createEmptyRecords();
+    this.storage.removeItem(STORAGE_CONFIG.KEY);
+  }
+
+  /**
+   * Disposes of the store and removes its event listeners
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
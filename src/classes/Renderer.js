@@ -40,9 +40,10 @@ export class Renderer {
    * Automatically handles viewport and camera aspect ratio updates
    */
   setupResizeHandler() {
-    window.addEventListener('resize', () => {
+    this.resizeHandler = () => {
       this.handleResize();
-    });
+    };
+    window.addEventListener('resize', this.resizeHandler);
   }
 
   /**
@@ -95,11 +96,22 @@ export class Renderer {
 
   /**
    * Disposes of the renderer and cleans up resources
+   * Removes the resize listener and the canvas, and releases the WebGL context
    * Should be called when the renderer is no longer needed
    */
   dispose() {
+    window.removeEventListener('resize', this.resizeHandler);
+    this.onResizeCallback = null;
+
     if (this.renderer) {
       this.renderer.dispose();
+      // Browsers cap live WebGL contexts, so release it instead of waiting for GC
+      this.renderer.forceContextLoss();
+
+      const canvas = this.renderer.domElement;
+      if (canvas.parentNode) {
+        canvas.parentNode.removeChild(canvas);
+      }
     }
   }
 }
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview ScoreSystem class turning hit, kill and miss events into round points.
+ * Awards base points per hit with headshot and long-distance bonuses, points per kill,
+ * and scales both by a combo multiplier that breaks on a miss and decays over time.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { SCORE_CONFIG } from '../helpers/constants';
+import {
+  TARGET_HIT_EVENT_NAME,
+  TARGET_ELIMINATED_EVENT_NAME,
+  WEAPON_FIRED_EVENT_NAME,
+  PLAY_AGAIN_EVENT_NAME,
+  SCORE_UPDATE_EVENT_NAME,
+} from '../helpers/EventNames';
+
+/**
+ * ScoreSystem class keeping the score and combo of the current round
+ * Driven by bus events; update() only runs the combo decay
+ */
+export class ScoreSystem {
+  /**
+   * Creates a new ScoreSystem listening on the event bus
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @constructor
+   */
+  constructor(eventBus) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {number} Points scored in the current round */
+    this.score = 0;
+    /** @type {number} Consecutive hits counting toward the multiplier */
+    this.combo = 0;
+    /** @type {number} Seconds since the last hit, for the combo decay */
+    this.comboTimer = 0;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Sets up listeners for hits, kills, misses and round restarts
+   */
+  setupEventListeners() {
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(TARGET_HIT_EVENT_NAME, (hit) => {
+        this.onHit(hit);
+      }),
+      this.eventBus.on(TARGET_ELIMINATED_EVENT_NAME, () => {
+        this.addPoints(SCORE_CONFIG.KILL_POINTS);
+      }),
+      this.eventBus.on(WEAPON_FIRED_EVENT_NAME, ({ hit }) => {
+        if (!hit) this.setCombo(0);
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.reset();
+      }),
+    ];
+  }
+
+  /**
+   * Scores a hit with its bonuses at the current multiplier, then extends the combo
+   * @param {TargetHitPayload} hit - Hit event payload
+   */
+  onHit({ isHeadshot, distance }) {
+    let points = SCORE_CONFIG.HIT_POINTS;
+    if (isHeadshot) points += SCORE_CONFIG.HEADSHOT_BONUS;
+    if (distance >= SCORE_CONFIG.LONG_DISTANCE) {
+      points += SCORE_CONFIG.LONG_DISTANCE_BONUS;
+    }
+
+    this.addPoints(points);
+    this.comboTimer = 0;
+    this.setCombo(this.combo + 1);
+  }
+
+  /**
+   * Adds points scaled by the combo multiplier
+   * @param {number} basePoints - Points before the multiplier
+   */
+  addPoints(basePoints) {
+    const points = Math.round(basePoints * this.getMultiplier());
+    this.score += points;
+    this.emitUpdate(points);
+  }
+
+  /**
+   * Sets the combo and announces the new multiplier when it changed
+   * @param {number} combo - New consecutive hit count
+   */
+  setCombo(combo) {
+    if (combo === this.combo) return;
+    this.combo = combo;
+    this.emitUpdate(0);
+  }
+
+  /**
+   * Gets the combo multiplier
+   * @returns {number} Multiplier between 1 and SCORE_CONFIG.MAX_MULTIPLIER
+   */
+  getMultiplier() {
+    return Math.min(
+      SCORE_CONFIG.MAX_MULTIPLIER,
+      1 + this.combo * SCORE_CONFIG.COMBO_STEP
+    );
+  }
+
+  /**
+   * Gets the points scored in the current round
+   * @returns {number} Round score
+   */
+  getScore() {
+    return this.score;
+  }
+
+  /**
+   * Decays the combo by one step for every COMBO_DECAY_TIME seconds without a hit
+   * @param {number} delta - Time delta in seconds
+   */
+  update(delta) {
+    if (this.combo === 0) return;
+
+    this.comboTimer += delta;
+    if (this.comboTimer >= SCORE_CONFIG.COMBO_DECAY_TIME) {
+      this.comboTimer -= SCORE_CONFIG.COMBO_DECAY_TIME;
+      this.setCombo(this.combo - 1);
+    }
+  }
+
+  /**
+   * Clears the score and combo for a new round
+   */
+  reset() {
+    this.score = 0;
+    this.combo = 0;
+    this.comboTimer = 0;
+    this.emitUpdate(0);
+  }
+
+  /**
+   * Emits the score update event
+   * @param {number} points - Points added by the change
+   */
+  emitUpdate(points) {
+    this.eventBus.emit(SCORE_UPDATE_EVENT_NAME, {
+      score: this.score,
+      points,
+      multiplier: this.getMultiplier(),
+      combo: this.combo,
+    });
+  }
+
+  /**
+   * Disposes of the score system and removes its event listeners
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview SyntheticInput class providing scripted input for tests and debugging.
+ * Values set here are sampled by the InputManager like any device, with the highest
+ * priority, so a script can drive the player without touching the real controls.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { INPUT_ACTIONS } from '../helpers/constants';
+
+/**
+ * SyntheticInput class holding move, look and button values until they are changed
+ * Look is a rotation per second, so scripted turning is frame rate independent
+ */
+export class SyntheticInput {
+  /**
+   * Creates a new SyntheticInput with no input
+   * @constructor
+   */
+  constructor() {
+    /** @type {Object} Move vector {x, y} in the joystick convention (y < 0 is forward) */
+    this.move = { x: 0, y: 0 };
+    /** @type {Object} Camera rotation per second in radians {yaw, pitch} */
+    this.look = { yaw: 0, pitch: 0 };
+    /** @type {Object.<string, boolean>} Held state of the FIRE, RELOAD and PAUSE buttons */
+    this.buttons = {
+      [INPUT_ACTIONS.FIRE]: false,
+      [INPUT_ACTIONS.RELOAD]: false,
+      [INPUT_ACTIONS.PAUSE]: false,
+    };
+  }
+
+  /**
+   * Sets the move vector
+   * @param {number} x - Strafe value (-1..1), positive is right
+   * @param {number} y - Forward value (-1..1), negative is forward
+   */
+  setMove(x, y) {
+    this.move = { x, y };
+  }
+
+  /**
+   * Sets the camera rotation speed
+   * @param {number} yaw - Yaw speed in radians per second
+   * @param {number} pitch - Pitch speed in radians per second
+   */
+  setLook(yaw, pitch) {
+    this.look = { yaw, pitch };
+  }
+
+  /**
+   * Holds or releases a button
+   * @param {string} action - One of INPUT_ACTIONS.FIRE, RELOAD or PAUSE
+   * @param {boolean} held - True to hold the button
+   */
+  setButton(action, held) {
+    if (!(action in this.buttons)) {
+      console.warn(`[SyntheticInput] Unknown button action: ${action}`);
+      return;
+    }
+    this.buttons[action] = held;
+  }
+
+  /**
+   * Clears all values, returning control to the real devices
+   */
+  clear() {
+    this.move = { x: 0, y: 0 };
+    this.look = { yaw: 0, pitch: 0 };
+    Object.keys(this.buttons).forEach((action) => {
+      this.buttons[action] = false;
+    });
+  }
+
+  /**
+   * Returns the scripted actions for this frame
+   * Input source sampled by the InputManager
+   * @param {number} delta - Time delta in seconds
+   * @returns {InputSample} Move vector, look rotation and buttons
+   */
+  sample(delta) {
+    return {
+      move: { ...this.move },
+      look: { yaw: this.look.yaw * delta, pitch: this.look.pitch * delta },
+      ...this.buttons,
+    };
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * @fileoverview TargetController class managing target creation, positioning, and elimination animations.
- * Handles various target layouts, movement patterns, and hit detection responses.
+ * Handles various target layouts, movement patterns, survival wave respawns, and hit detection responses.
  *
  * @author Alper Açık
  * @version 1.0.0
@@ -9,7 +9,12 @@
 import * as THREE from 'three';
 import { SkeletonUtils } from 'three/examples/jsm/Addons.js';
 import { PLAY_AGAIN_EVENT_NAME } from '../helpers/EventNames';
-import { ANIMATION_CONFIG, CURRENT_TARGET_CONFIG } from '../helpers/constants';
+import {
+  ANIMATION_CONFIG,
+  CURRENT_TARGET_CONFIG,
+  HIT_ZONES,
+  SURVIVAL_CONFIG,
+} from '../helpers/constants';
 
 /**
  * TargetController class managing target objects and their behaviors
@@ -94,22 +99,7 @@ export class TargetController {
     const positions = this.calculateTargetPositions();
 
     positions.forEach((position) => {
-      const target = this.createTarget(position);
-      this.scene.add(target);
-      this.targets.push(target);
-
-      // Initialize animation state for this target
-      this.targetAnimations.set(target, {
-        isAnimating: false,
-        startRotation: target.rotation.clone(),
-        animationProgress: 0,
-        animationDuration: ANIMATION_CONFIG.TARGET_ELIMINATION.DURATION,
-        targetRotation: new THREE.Euler(
-          ANIMATION_CONFIG.TARGET_ELIMINATION.ROTATION_X,
-          0,
-          0
-        ),
-      });
+      const target = this.addTarget(position);
 
       // Initialize movement state for moving targets
       if (this.config.layout === 'moving' && this.config.movement?.enabled) {
@@ -124,6 +114,85 @@ export class TargetController {
     });
   }
 
+  /**
+   * Creates a target, adds it to the scene and initializes its animation state
+   * @param {THREE.Vector3} position - Position to place the target
+   * @returns {THREE.Group} The added target object
+   */
+  addTarget(position) {
+    const target = this.createTarget(position, this.targets.length);
+    this.scene.add(target);
+    this.targets.push(target);
+
+    this.targetAnimations.set(target, {
+      isAnimating: false,
+      startRotation: target.rotation.clone(),
+      animationProgress: 0,
+      animationDuration: ANIMATION_CONFIG.TARGET_ELIMINATION.DURATION,
+      targetRotation: new THREE.Euler(
+        ANIMATION_CONFIG.TARGET_ELIMINATION.ROTATION_X,
+        0,
+        0
+      ),
+    });
+    return target;
+  }
+
+  /**
+   * Respawns the targets as a survival wave at random positions
+   * Targets are pooled: missing ones are created, surplus ones are hidden
+   * @param {Object} wave - Wave settings from getWaveSettings()
+   * @param {number} wave.count - Number of targets to spawn
+   * @param {number} wave.hp - Health points of each target
+   * @param {number} wave.speed - Movement speed of each target
+   */
+  spawnWave({ count, hp, speed }) {
+    const positions = this.calculateScatteredPositions(
+      count,
+      SURVIVAL_CONFIG.SPAWN_BOUNDS,
+      SURVIVAL_CONFIG.MIN_SPAWN_DISTANCE
+    );
+    while (this.targets.length < count) {
+      this.addTarget(positions[this.targets.length]);
+    }
+
+    this.targets.forEach((target, index) => {
+      const animState = this.targetAnimations.get(target);
+      animState.isAnimating = false;
+      animState.animationProgress = 0;
+      target.rotation.copy(animState.startRotation);
+
+      if (index >= count) {
+        target.visible = false;
+        target.userData.hp = 0;
+        target.userData.eliminated = true;
+        this.targetMovements.delete(target);
+        return;
+      }
+
+      target.visible = true;
+      target.userData.hp = hp;
+      target.userData.eliminated = false;
+      target.scale.setScalar(SURVIVAL_CONFIG.SCALE);
+      target.position.copy(positions[index]);
+      this.targetMovements.set(target, {
+        startPosition: positions[index].clone(),
+        time: Math.random() * Math.PI * 2, // Desynchronize the sway
+        amplitude: SURVIVAL_CONFIG.MOVEMENT_AMPLITUDE,
+        speed,
+        axis: 'both',
+      });
+    });
+  }
+
+  /**
+   * Counts the targets that have not been eliminated
+   * @returns {number} Number of live targets
+   */
+  getAliveCount() {
+    return this.targets.filter((target) => !target.userData.eliminated).length;
+  }
+
   /**
    * Calculates target positions based on the current layout configuration
    * @returns {Array<THREE.Vector3>} Array of target positions
@@ -292,13 +361,19 @@ export class TargetController {
 
   /**
    * Calculates scattered arrangement positions for targets
+   * @param {number} [count=this.config.count] - Number of positions
+   * @param {Object} [bounds=this.config.bounds] - Area { minX, maxX, minZ, maxZ, y }
+   * @param {number} [minDistance=this.config.minDistance] - Minimum distance between positions
    * @returns {Array<THREE.Vector3>} Array of scattered target positions
    */
-  calculateScatteredPositions() {
+  calculateScatteredPositions(
+    count = this.config.count,
+    bounds = this.config.bounds,
+    minDistance = this.config.minDistance
+  ) {
     const positions = [];
-    const bounds = this.config.bounds;
 
-    for (let i = 0; i < this.config.count; i++) {
+    for (let i = 0; i < count; i++) {
       let position;
       let attempts = 0;
       const maxAttempts = 100;
@@ -312,7 +387,7 @@ export class TargetController {
         attempts++;
       } while (
         attempts < maxAttempts &&
-        this.isTooCloseToExisting(position, positions, this.config.minDistance)
+        this.isTooCloseToExisting(position, positions, minDistance)
       );
 
       positions.push(position);
@@ -336,10 +411,12 @@ export class TargetController {
   /**
    * Creates a target object at the specified position with texture applied
    * @param {THREE.Vector3} position - Position to place the target
+   * @param {number} id - Target id reported in hit and elimination events
    * @returns {THREE.Group} The created target object
    */
-  createTarget(position) {
+  createTarget(position, id) {
     const target = SkeletonUtils.clone(this.targetObj);
+    target.userData.id = id;
     target.userData.hp = this.config.hp;
     target.position.copy(position);
     target.scale.setScalar(this.config.scale);
@@ -351,9 +428,12 @@ export class TargetController {
    * Sets up event listeners for target-related events
    */
   setupEventListeners() {
-    this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
-      this.resetTargets();
-    });
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.resetTargets();
+      }),
+    ];
   }
 
   /**
@@ -393,16 +473,17 @@ export class TargetController {
   /**
    * Handles a hit on a target, reducing health and triggering elimination
    * @param {THREE.Group} target - The target that was hit
+   * @param {number} [damage=1] - Health points to subtract
    * @returns {boolean} True if target was eliminated, false otherwise
    */
-  onHit(target) {
+  onHit(target, damage = 1) {
     let hp = target.userData.hp;
-    if (hp < 1) return false;
+    if (hp <= 0) return false;
 
-    hp--;
+    hp = Math.max(0, hp - damage);
     target.userData.hp = hp;
 
-    if (hp < 1) {
+    if (hp <= 0) {
       // Mark as eliminated immediately
       target.userData.eliminated = true;
       // Start rotation animation instead of just hiding
@@ -413,6 +494,52 @@ export class TargetController {
     return false;
   }
 
+  /**
+   * Resolves the hit zone of a raycaster intersection on a target
+   * Matches HIT_ZONES patterns against the dominant bone of the hit face, then the mesh name
+   * @param {Object} hit - Raycaster intersection on a target mesh
+   * @returns {Object} Entry of HIT_ZONES
+   */
+  resolveHitZone(hit) {
+    const names = [this.getHitBoneName(hit), hit.object.name].filter(Boolean);
+    const zone = Object.values(HIT_ZONES).find(({ pattern }) =>
+      names.some((name) => pattern.test(name))
+    );
+    return zone || HIT_ZONES.TORSO;
+  }
+
+  /**
+   * Finds the bone with the most skin weight on the three vertices of the hit face
+   * @param {Object} hit - Raycaster intersection on a target mesh
+   * @returns {string|null} Bone name, or null when the mesh is not skinned
+   */
+  getHitBoneName({ object, face }) {
+    if (!object.isSkinnedMesh || !face) return null;
+
+    const { skinIndex, skinWeight } = object.geometry.attributes;
+    if (!skinIndex || !skinWeight) return null;
+
+    const weights = new Map();
+    [face.a, face.b, face.c].forEach((vertex) => {
+      for (let i = 0; i < skinIndex.itemSize; i++) {
+        const bone = skinIndex.getComponent(vertex, i);
+        const weight = skinWeight.getComponent(vertex, i);
+        weights.set(bone, (weights.get(bone) || 0) + weight);
+      }
+    });
+
+    let dominantBone = -1;
+    let dominantWeight = 0;
+    weights.forEach((weight, bone) => {
+      if (weight > dominantWeight) {
+        dominantBone = bone;
+        dominantWeight = weight;
+      }
+    });
+
+    return object.skeleton.bones[dominantBone]?.name ?? null;
+  }
+
   /**
    * Starts the elimination animation for a target
    * @param {THREE.Group} target - The target to animate
@@ -489,4 +616,17 @@ export class TargetController {
       }
     });
   }
+
+  /**
+   * Disposes of the target controller
+   * Removes event listeners and all targets from the scene
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+    this.targets.forEach((target) => this.scene.remove(target));
+    this.targets = [];
+    this.targetAnimations.clear();
+    this.targetMovements.clear();
+  }
 }
@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Tutorial class guiding first-time players through the controls.
+ * Shows an animated hand over the move joystick, then a swipe over the look area,
+ * then asks for a hit; each step advances on the matching input or hit event.
+ * The tutorial is skippable and only shown until it has been completed once.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import {
+  GAME_STARTED_EVENT_NAME,
+  GAME_OVER_EVENT_NAME,
+  JOYSTICK_MOVED_EVENT_NAME,
+  TARGET_HIT_EVENT_NAME,
+  TUTORIAL_STEP_STARTED_EVENT_NAME,
+  TUTORIAL_COMPLETED_EVENT_NAME,
+  INPUT_SCHEME_CHANGED_EVENT_NAME,
+} from '../helpers/EventNames';
+import {
+  TUTORIAL_CONFIG,
+  STORAGE_CONFIG,
+  FIRE_MODES,
+  CURRENT_FIRE_MODE,
+  INPUT_SCHEMES,
+} from '../helpers/constants';
+import { getStorage } from '../helpers/storage';
+
+/**
+ * Tutorial steps in order
+ * hint: hand animation to play ('drag', 'swipe' or null), touch scheme only;
+ * desktopText: instruction for keyboard and mouse; event/matches: what completes the step
+ * @type {Array<Object>}
+ */
+const TUTORIAL_STEPS = [
+  {
+    id: 'move',
+    text: 'Drag on the left to move',
+    desktopText: 'Use WASD or the arrow keys to move',
+    hint: 'drag',
+    position: TUTORIAL_CONFIG.MOVE_HINT_POSITION,
+    event: JOYSTICK_MOVED_EVENT_NAME,
+    matches: ({ stick }) => stick === 'move',
+  },
+  {
+    id: 'look',
+    text: 'Swipe on the right to look around',
+    desktopText: 'Click, then move the mouse to look around',
+    hint: 'swipe',
+    position: TUTORIAL_CONFIG.LOOK_HINT_POSITION,
+    event: JOYSTICK_MOVED_EVENT_NAME,
+    matches: ({ stick }) => stick === 'look',
+  },
+  {
+    id: 'aim',
+    text:
+      CURRENT_FIRE_MODE === FIRE_MODES.MANUAL
+        ? 'Aim at the target and fire'
+        : 'Aim at the target',
+    desktopText:
+      CURRENT_FIRE_MODE === FIRE_MODES.MANUAL
+        ? 'Aim at the target and click to fire'
+        : 'Aim at the target',
+    hint: null,
+    position: null,
+    event: TARGET_HIT_EVENT_NAME,
+    matches: () => true,
+  },
+];
+
+/**
+ * Tutorial class running the scripted first-play steps
+ * Starts with the first round; does nothing once the completion flag is stored
+ */
+export class Tutorial {
+  /**
+   * Creates a new Tutorial instance
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {Storage|Object} [storage=getStorage()] - Storage holding the completion flag
+   * @constructor
+   */
+  constructor(eventBus, storage = getStorage()) {
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Storage|Object} Storage holding the completion flag */
+    this.storage = storage;
+    /** @type {boolean} Flag indicating if the tutorial was completed or skipped before */
+    this.isCompleted =
+      this.storage.getItem(STORAGE_CONFIG.TUTORIAL_KEY) !== null;
+    /** @type {boolean} Flag indicating if the tutorial is on screen */
+    this.isActive = false;
+    /** @type {number} Index of the current step in TUTORIAL_STEPS */
+    this.stepIndex = -1;
+    /** @type {Function|null} Unsubscribe handle of the current step's event listener */
+    this.stepUnsubscribe = null;
+    /** @type {number|null} Pending timeout showing the next step */
+    this.stepTimeout = null;
+    /** @type {boolean} Flag indicating if keyboard and mouse drive the game */
+    this.isDesktopScheme = false;
+
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(GAME_STARTED_EVENT_NAME, () => {
+        this.start();
+      }),
+      this.eventBus.on(GAME_OVER_EVENT_NAME, () => {
+        // The player has finished a round; the tutorial is not shown again
+        if (this.isActive) this.finish(false);
+      }),
+      this.eventBus.on(INPUT_SCHEME_CHANGED_EVENT_NAME, ({ scheme }) => {
+        this.isDesktopScheme = scheme === INPUT_SCHEMES.DESKTOP;
+        if (this.isActive && this.stepUnsubscribe) this.renderStep();
+      }),
+    ];
+  }
+
+  /**
+   * Shows the first step unless the tutorial has already been completed
+   */
+  start() {
+    if (this.isCompleted || this.isActive) return;
+    this.isActive = true;
+    this.createElements();
+    this.showStep(0);
+  }
+
+  /**
+   * Shows a step and waits for its completing event
+   * @param {number} index - Index in TUTORIAL_STEPS
+   */
+  showStep(index) {
+    if (index >= TUTORIAL_STEPS.length) {
+      this.finish(false);
+      return;
+    }
+
+    const step = TUTORIAL_STEPS[index];
+    this.stepIndex = index;
+    this.renderStep();
+
+    this.eventBus.emit(TUTORIAL_STEP_STARTED_EVENT_NAME, {
+      step: step.id,
+      index,
+      total: TUTORIAL_STEPS.length,
+    });
+
+    this.stepUnsubscribe = this.eventBus.on(step.event, (payload) => {
+      if (step.matches(payload)) this.advance();
+    });
+  }
+
+  /**
+   * Shows the current step's instruction and hint for the active control scheme
+   */
+  renderStep() {
+    const step = TUTORIAL_STEPS[this.stepIndex];
+    this.message.textContent = this.isDesktopScheme
+      ? step.desktopText
+      : step.text;
+    this.showHint(this.isDesktopScheme ? null : step);
+  }
+
+  /**
+   * Completes the current step and shows the next one after a short pause
+   */
+  advance() {
+    this.stepUnsubscribe?.();
+    this.stepUnsubscribe = null;
+    this.showHint(null);
+    this.message.textContent = '👍';
+
+    this.stepTimeout = setTimeout(() => {
+      this.stepTimeout = null;
+      this.showStep(this.stepIndex + 1);
+    }, TUTORIAL_CONFIG.STEP_DELAY);
+  }
+
+  /**
+   * Skips the remaining steps
+   */
+  skip() {
+    if (this.isActive) this.finish(true);
+  }
+
+  /**
+   * Removes the tutorial, stores the completion flag and announces the end
+   * @param {boolean} skipped - Whether the player skipped the tutorial
+   */
+  finish(skipped) {
+    this.isActive = false;
+    this.isCompleted = true;
+    this.stepUnsubscribe?.();
+    this.stepUnsubscribe = null;
+    clearTimeout(this.stepTimeout);
+    this.stepTimeout = null;
+    this.removeElements();
+
+    try {
+      this.storage.setItem(STORAGE_CONFIG.TUTORIAL_KEY, '1');
+    } catch (error) {
+      console.warn('[Tutorial] Could not save the completion flag', error);
+    }
+
+    this.eventBus.emit(TUTORIAL_COMPLETED_EVENT_NAME, { skipped });
+  }
+
+  /**
+   * Deletes the stored completion flag so the tutorial runs on the next round
+   */
+  reset() {
+    this.isCompleted = false;
+    this.storage.removeItem(STORAGE_CONFIG.TUTORIAL_KEY);
+  }
+
+  // ==== Elements ====
+  /**
+   * Creates the hint keyframes, the message, the hand and the skip button
+   * The container ignores input so the joysticks below keep working
+   */
+  createElements() {
+    const travel = `${TUTORIAL_CONFIG.HINT_TRAVEL}vh`;
+    /** @type {HTMLStyleElement} Injected hint animation keyframes */
+    this.styleEl = document.createElement('style');
+    this.styleEl.textContent = `
+    @keyframes tutorial-drag {
+      0% { transform: translate(-50%, -50%); opacity: 0; }
+      15% { opacity: 1; }
+      60% { transform: translate(-50%, calc(-50% - ${travel})); opacity: 1; }
+      100% { transform: translate(-50%, calc(-50% - ${travel})); opacity: 0; }
+    }
+    @keyframes tutorial-swipe {
+      0% { transform: translate(calc(-50% + ${travel}), -50%); opacity: 0; }
+      15% { opacity: 1; }
+      60% { transform: translate(calc(-50% - ${travel}), -50%); opacity: 1; }
+      100% { transform: translate(calc(-50% - ${travel}), -50%); opacity: 0; }
+    }
+  `;
+    document.head.appendChild(this.styleEl);
+
+    /** @type {HTMLElement} Full-screen tutorial container */
+    this.container = document.createElement('div');
+    Object.assign(this.container.style, {
+      position: 'fixed',
+      inset: '0',
+      zIndex: '9997',
+      pointerEvents: 'none',
+      fontFamily: 'Arial, sans-serif',
+    });
+
+    /** @type {HTMLElement} Step instruction text */
+    this.message = document.createElement('div');
+    Object.assign(this.message.style, {
+      position: 'absolute',
+      top: '28%',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '1.5vh 3vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      color: '#fff',
+      fontSize: '3vh',
+      fontWeight: 'bold',
+      borderRadius: '1vh',
+      textAlign: 'center',
+      whiteSpace: 'nowrap',
+      textShadow: '2px 2px 4px rgba(0,0,0,0.8)',
+    });
+
+    /** @type {HTMLElement} Animated hand hint */
+    this.hand = document.createElement('div');
+    this.hand.textContent = '👆';
+    Object.assign(this.hand.style, {
+      position: 'absolute',
+      fontSize: '7vh',
+      filter: 'drop-shadow(0 0.5vh 1vh rgba(0,0,0,0.5))',
+      display: 'none',
+    });
+
+    this.container.appendChild(this.message);
+    this.container.appendChild(this.hand);
+    this.container.appendChild(this.createSkipButton());
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Creates the skip button; presses do not reach the joysticks
+   * @returns {HTMLElement} Skip button element
+   */
+  createSkipButton() {
+    const skipButton = document.createElement('div');
+    skipButton.textContent = 'Skip ›';
+    Object.assign(skipButton.style, {
+      position: 'absolute',
+      top: 'calc(28% + 9vh)',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '0.8vh 2vh',
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      color: '#fff',
+      fontSize: '2vh',
+      borderRadius: '1vh',
+      border: '2px solid rgba(255,255,255,0.3)',
+      cursor: 'pointer',
+      pointerEvents: 'auto',
+      touchAction: 'none',
+      userSelect: 'none',
+      webkitUserSelect: 'none',
+    });
+
+    const press = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.skip();
+    };
+
+    skipButton.addEventListener('touchstart', press, { passive: false });
+    skipButton.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch') {
+        e.stopPropagation();
+        return;
+      }
+      press(e);
+    });
+    return skipButton;
+  }
+
+  /**
+   * Plays the hand animation of a step, or hides the hand
+   * @param {Object|null} step - Entry of TUTORIAL_STEPS, or null to hide the hand
+   */
+  showHint(step) {
+    if (!step || !step.hint) {
+      this.hand.style.display = 'none';
+      this.hand.style.animation = 'none';
+      return;
+    }
+
+    Object.assign(this.hand.style, {
+      display: 'block',
+      left: `${step.position.x}%`,
+      top: `${step.position.y}%`,
+      animation: `tutorial-${step.hint} ${TUTORIAL_CONFIG.HINT_ANIMATION_DURATION}s ease-in-out infinite`,
+    });
+  }
+
+  /**
+   * Removes the tutorial elements and injected styles
+   */
+  removeElements() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    if (this.styleEl && this.styleEl.parentNode) {
+      this.styleEl.parentNode.removeChild(this.styleEl);
+    }
+  }
+
+  /**
+   * Disposes of the tutorial
+   * Removes event listeners, pending timers and DOM elements without storing completion
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.stepUnsubscribe?.();
+    clearTimeout(this.stepTimeout);
+    this.removeElements();
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview WaveController class running the survival mode wave cycle.
+ * Respawns targets in waves of growing count, hp and speed, runs the wave timer
+ * and reports when a wave is left standing after its timer expires.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { SURVIVAL_CONFIG, getWaveSettings } from '../helpers/constants';
+import {
+  PLAY_AGAIN_EVENT_NAME,
+  TARGET_ELIMINATED_EVENT_NAME,
+  TIMER_UPDATE_EVENT_NAME,
+  WAVE_STARTED_EVENT_NAME,
+  WAVE_CLEARED_EVENT_NAME,
+} from '../helpers/EventNames';
+
+/**
+ * WaveController class spawning survival waves through the TargetController
+ * Game polls hasFailed() after each update to end the round
+ */
+export class WaveController {
+  /**
+   * Creates a new WaveController and spawns the first wave
+   * @param {TargetController} targetController - Target controller respawning the targets
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @constructor
+   */
+  constructor(targetController, eventBus) {
+    /** @type {TargetController} Target controller respawning the targets */
+    this.targetController = targetController;
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+
+    this.setupEventListeners();
+    this.reset();
+  }
+
+  /**
+   * Sets up event listeners for eliminations and round restarts
+   * Registered after TargetController, so the respawned wave replaces its layout reset
+   */
+  setupEventListeners() {
+    /** @type {Array<Function>} Event bus unsubscribe handles, called on dispose */
+    this.unsubscribers = [
+      this.eventBus.on(TARGET_ELIMINATED_EVENT_NAME, () => {
+        if (this.isWaveActive && this.targetController.getAliveCount() === 0) {
+          this.clearWave();
+        }
+      }),
+      this.eventBus.on(PLAY_AGAIN_EVENT_NAME, () => {
+        this.reset();
+      }),
+    ];
+  }
+
+  /**
+   * Restarts the cycle from the first wave
+   */
+  reset() {
+    /** @type {number} Current wave number, starting at 1 */
+    this.wave = 0;
+    /** @type {boolean} Flag indicating if the wave timer is running */
+    this.isWaveActive = false;
+    /** @type {boolean} Flag indicating if a wave timer expired with targets standing */
+    this.isFailed = false;
+    /** @type {number} Seconds left on the wave timer */
+    this.remainingTime = 0;
+    /** @type {number} Wave timer duration in seconds */
+    this.waveDuration = 0;
+    /** @type {number} Seconds until the next wave spawns after a clear */
+    this.intermissionTime = 0;
+    /** @type {number|null} Last whole second announced with the timer event */
+    this.announcedSecond = null;
+
+    this.startWave(1);
+  }
+
+  /**
+   * Spawns a wave and starts its timer
+   * @param {number} wave - Wave number to spawn
+   */
+  startWave(wave) {
+    const settings = getWaveSettings(wave);
+    this.wave = wave;
+    this.isWaveActive = true;
+    this.waveDuration = settings.duration;
+    this.remainingTime = settings.duration;
+    this.announcedSecond = null;
+
+    this.targetController.spawnWave(settings);
+    this.eventBus.emit(WAVE_STARTED_EVENT_NAME, {
+      wave,
+      targetCount: settings.count,
+      hp: settings.hp,
+      duration: settings.duration,
+    });
+    this.announceTime();
+  }
+
+  /**
+   * Stops the wave timer and schedules the next wave
+   */
+  clearWave() {
+    this.isWaveActive = false;
+    this.intermissionTime = SURVIVAL_CONFIG.WAVE_DELAY;
+    this.eventBus.emit(WAVE_CLEARED_EVENT_NAME, {
+      wave: this.wave,
+      remainingTime: this.remainingTime,
+    });
+  }
+
+  /**
+   * Advances the wave timer, or the pause before the next wave
+   * @param {number} delta - Time delta in seconds
+   */
+  update(delta) {
+    if (this.isFailed) return;
+
+    if (!this.isWaveActive) {
+      this.intermissionTime -= delta;
+      if (this.intermissionTime <= 0) this.startWave(this.wave + 1);
+      return;
+    }
+
+    this.remainingTime = Math.max(0, this.remainingTime - delta);
+    this.announceTime();
+
+    if (this.remainingTime === 0) {
+      this.isWaveActive = false;
+      this.isFailed = true;
+    }
+  }
+
+  /**
+   * Emits the timer event when the wave timer reaches a new whole second
+   */
+  announceTime() {
+    const second = Math.ceil(this.remainingTime);
+    if (second === this.announcedSecond) return;
+
+    this.announcedSecond = second;
+    this.eventBus.emit(TIMER_UPDATE_EVENT_NAME, {
+      remainingTime: second,
+      timeLimit: this.waveDuration,
+    });
+  }
+
+  /**
+   * Checks if a wave timer expired with targets still standing
+   * @returns {boolean} True once the round is lost
+   */
+  hasFailed() {
+    return this.isFailed;
+  }
+
+  /**
+   * Gets the current wave number
+   * @returns {number} Wave number, starting at 1
+   */
+  getWave() {
+    return this.wave;
+  }
+
+  /**
+   * Disposes of the wave controller and removes its event listeners
+   */
+  dispose() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview WeaponStateMachine class driving the animation actions of one weapon.
+ * Enforces the allowed transitions between deploy, idle, fire, reload and inspect,
+ * cross-fades between actions and reports completed and interrupted states.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import * as THREE from 'three';
+import { ANIMATION_CONFIG } from '../helpers/constants';
+import { WEAPON_STATE_CHANGED_EVENT_NAME } from '../helpers/EventNames';
+
+/**
+ * WeaponStateMachine class owning the current animation state of a weapon
+ * Transitions follow the interruptibleBy and next rules in ANIMATION_CONFIG.WEAPON_ACTIONS
+ */
+export class WeaponStateMachine {
+  /**
+   * Creates a new WeaponStateMachine for a weapon mixer
+   * @param {string} weaponId - WEAPON_DEFINITIONS key, reported in state events
+   * @param {THREE.AnimationMixer} mixer - Mixer of the weapon model
+   * @param {Map<string, THREE.AnimationAction>} actionsMap - Actions by state name
+   * @param {EventBus} eventBus - Event bus for game communication
+   * @param {Function} [onStateComplete] - Called with the state name when a non-looping state plays to its end
+   * @constructor
+   */
+  constructor(weaponId, mixer, actionsMap, eventBus, onStateComplete = null) {
+    /** @type {string} WEAPON_DEFINITIONS key of the weapon */
+    this.weaponId = weaponId;
+    /** @type {THREE.AnimationMixer} Mixer of the weapon model */
+    this.mixer = mixer;
+    /** @type {Map<string, THREE.AnimationAction>} Actions by state name */
+    this.actionsMap = actionsMap;
+    /** @type {EventBus} Event bus for game communication */
+    this.eventBus = eventBus;
+    /** @type {Function|null} Completion callback */
+    this.onStateComplete = onStateComplete;
+    /** @type {Object.<string, Object>} State configs by state name */
+    this.stateConfigs = Object.fromEntries(
+      Object.values(ANIMATION_CONFIG.WEAPON_ACTIONS).map((config) => [
+        config.name,
+        config,
+      ])
+    );
+    /** @type {string|null} Current state name, null while the weapon is holstered */
+    this.state = null;
+    /** @type {THREE.AnimationAction|null} Action of the current state */
+    this.currentAction = null;
+    /** @type {boolean} Flag indicating if the current non-looping action has finished */
+    this.isStateFinished = false;
+
+    this.handleFinished = this.handleFinished.bind(this);
+    this.mixer.addEventListener('finished', this.handleFinished);
+  }
+
+  /**
+   * Gets the current state
+   * @returns {string|null} Current state name, or null while holstered
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Checks if the current state allows entering another state now
+   * Finished states can always be left; running ones only by their interruptibleBy states
+   * @param {string} to - Target state name
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(to) {
+    if (!this.actionsMap.has(to)) return false;
+    if (this.state === null || this.isStateFinished) return true;
+    return this.stateConfigs[this.state].interruptibleBy.includes(to);
+  }
+
+  /**
+   * Enters a state if the interruption rules allow it
+   * Re-entering a replayable state (fire → fire) restarts its action
+   * @param {string} to - Target state name
+   * @param {Object} [options] - Transition options
+   * @param {boolean} [options.force=false] - Skip the interruption rules (weapon switch, reset)
+   * @returns {boolean} True if the state was entered
+   */
+  transition(to, { force = false } = {}) {
+    if (!force && !this.canTransition(to)) return false;
+    this.enter(to, !this.isStateFinished && this.state !== null);
+    return true;
+  }
+
+  /**
+   * Plays the action of a state, cross-fading from the previous action
+   * @param {string} to - Target state name
+   * @param {boolean} interrupted - Whether the previous state was still running
+   * @private
+   */
+  enter(to, interrupted) {
+    const from = this.state;
+    const config = this.stateConfigs[to];
+    const previousAction = this.currentAction;
+    const action = this.actionsMap.get(to);
+
+    this.state = to;
+    this.currentAction = action;
+    this.isStateFinished = false;
+
+    action
+      .reset()
+      .setLoop(
+        config.loop ? THREE.LoopRepeat : THREE.LoopOnce,
+        config.loop ? Infinity : 1
+      );
+    action.clampWhenFinished = !config.loop;
+    action.play();
+
+    if (previousAction && previousAction !== action) {
+      action.crossFadeFrom(previousAction, config.fadeIn, false);
+    }
+
+    this.eventBus.emit(WEAPON_STATE_CHANGED_EVENT_NAME, {
+      weaponId: this.weaponId,
+      from: from ?? 'none',
+      to,
+      interrupted,
+    });
+  }
+
+  /**
+   * Handles the mixer finished event for the current action only
+   * Reports the completion, then moves on to the state's next state
+   * @param {Object} e - Mixer event with the finished action
+   * @private
+   */
+  handleFinished(e) {
+    // Faded-out actions of earlier states also report here
+    if (e.action !== this.currentAction) return;
+
+    const completedState = this.state;
+    this.isStateFinished = true;
+    this.onStateComplete?.(completedState);
+
+    // The callback may already have moved the machine on
+    const { next } = this.stateConfigs[completedState];
+    if (this.state === completedState && next) {
+      this.enter(next, false);
+    }
+  }
+
+  /**
+   * Gets the progress of the current action
+   * @returns {number} Progress between 0 and 1
+   */
+  getProgress() {
+    if (!this.currentAction) return 0;
+    return Math.min(
+      1,
+      this.currentAction.time / this.currentAction.getClip().duration
+    );
+  }
+
+  /**
+   * Stops every action and returns to the holstered state without emitting events
+   */
+  stop() {
+    this.mixer.stopAllAction();
+    this.state = null;
+    this.currentAction = null;
+    this.isStateFinished = false;
+  }
+
+  /**
+   * Disposes of the state machine and removes its mixer listener
+   */
+  dispose() {
+    this.stop();
+    this.mixer.removeEventListener('finished', this.handleFinished);
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview CTAAdapter base class defining how the Download CTA leaves the playable.
+ * Network-specific adapters override the exit call; this base opens the store link in a new window.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+/**
+ * CTAAdapter base class used as the default (plain web) adapter
+ * Subclasses override isAvailable() and exit() for their ad network SDK
+ */
+export class CTAAdapter {
+  /**
+   * Creates a new CTAAdapter instance
+   * @param {string} [name='default'] - Ad network name used in log messages
+   * @constructor
+   */
+  constructor(name = 'default') {
+    /** @type {string} Ad network name */
+    this.name = name;
+  }
+
+  /**
+   * Checks if the ad network SDK is present on the page
+   * @returns {boolean} True if the network exit call can be used
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Opens the store through the ad network, falling back to window.open when the SDK is missing
+   * @param {string} url - Platform store link
+   */
+  open(url) {
+    if (this.isAvailable()) {
+      this.exit(url);
+    } else {
+      console.warn(`${this.name} SDK not found, falling back to window.open`);
+      window.open(url, '_blank');
+    }
+  }
+
+  /**
+   * Performs the network-specific exit call
+   * @param {string} url - Platform store link
+   */
+  exit(url) {
+    window.open(url, '_blank');
+  }
+
+  /**
+   * Reacts to the end card being forced by the idle or session limit
+   * Does nothing by default; adapters for networks that track playable completion override it
+   * with their SDK call (the reason, 'idle' or 'session', is passed as the only argument)
+   */
+  onEndCardForced() {}
+}
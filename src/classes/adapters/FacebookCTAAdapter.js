@@ -0,0 +1,37 @@
+/**
+ * @fileoverview FacebookCTAAdapter class routing the Download CTA through FbPlayableAd.onCTAClick().
+ * The store link is configured in Ads Manager, so the URL is not passed to the SDK.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { CTAAdapter } from './CTAAdapter';
+
+/**
+ * FacebookCTAAdapter class for Meta Audience Network playables
+ */
+export class FacebookCTAAdapter extends CTAAdapter {
+  /**
+   * Creates a new FacebookCTAAdapter instance
+   * @constructor
+   */
+  constructor() {
+    super('facebook');
+  }
+
+  /**
+   * Checks if the FbPlayableAd SDK is present
+   * @returns {boolean} True if FbPlayableAd.onCTAClick can be called
+   */
+  isAvailable() {
+    return typeof window.FbPlayableAd?.onCTAClick === 'function';
+  }
+
+  /**
+   * Calls FbPlayableAd.onCTAClick()
+   */
+  exit() {
+    window.FbPlayableAd.onCTAClick();
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview GoogleCTAAdapter class routing the Download CTA through ExitApi.exit().
+ * The destination is configured in Google Ads, so the URL is not passed to the SDK.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { CTAAdapter } from './CTAAdapter';
+
+/**
+ * GoogleCTAAdapter class for Google Ads HTML5 playables
+ */
+export class GoogleCTAAdapter extends CTAAdapter {
+  /**
+   * Creates a new GoogleCTAAdapter instance
+   * @constructor
+   */
+  constructor() {
+    super('google');
+  }
+
+  /**
+   * Checks if the ExitApi is present
+   * @returns {boolean} True if ExitApi.exit can be called
+   */
+  isAvailable() {
+    return typeof window.ExitApi?.exit === 'function';
+  }
+
+  /**
+   * Calls ExitApi.exit()
+   */
+  exit() {
+    window.ExitApi.exit();
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview IronSourceCTAAdapter class routing the Download CTA through dapi.openStoreUrl().
+ * The store link is configured on the ironSource dashboard, so the URL is not passed to the SDK.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { CTAAdapter } from './CTAAdapter';
+
+/**
+ * IronSourceCTAAdapter class for ironSource (DAPI) playables
+ */
+export class IronSourceCTAAdapter extends CTAAdapter {
+  /**
+   * Creates a new IronSourceCTAAdapter instance
+   * @constructor
+   */
+  constructor() {
+    super('ironsource');
+  }
+
+  /**
+   * Checks if the DAPI object is present
+   * @returns {boolean} True if dapi.openStoreUrl can be called
+   */
+  isAvailable() {
+    return typeof window.dapi?.openStoreUrl === 'function';
+  }
+
+  /**
+   * Calls dapi.openStoreUrl()
+   */
+  exit() {
+    window.dapi.openStoreUrl();
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview MraidCTAAdapter class routing the Download CTA through mraid.open().
+ * Used by MRAID containers such as AppLovin, Unity Ads and Vungle.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { CTAAdapter } from './CTAAdapter';
+
+/**
+ * MraidCTAAdapter class delegating to the AdContainerBridge
+ */
+export class MraidCTAAdapter extends CTAAdapter {
+  /**
+   * Creates a new MraidCTAAdapter instance
+   * @param {AdContainerBridge} adContainerBridge - Bridge owning the MRAID object
+   * @constructor
+   */
+  constructor(adContainerBridge) {
+    super('mraid');
+    /** @type {AdContainerBridge} Bridge owning the MRAID object */
+    this.adContainerBridge = adContainerBridge;
+  }
+
+  /**
+   * Checks if an MRAID container is present
+   * @returns {boolean} True if the bridge has an MRAID object
+   */
+  isAvailable() {
+    return this.adContainerBridge.isAvailable();
+  }
+
+  /**
+   * Opens the store link with mraid.open()
+   * @param {string} url - Platform store link
+   */
+  exit(url) {
+    this.adContainerBridge.open(url);
+  }
+}
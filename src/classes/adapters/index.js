@@ -0,0 +1,44 @@
+/**
+ * @fileoverview CTA adapter factory selecting the Download CTA implementation per ad network.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+import { AD_NETWORKS } from '../../helpers/constants';
+import { CTAAdapter } from './CTAAdapter';
+import { MraidCTAAdapter } from './MraidCTAAdapter';
+import { FacebookCTAAdapter } from './FacebookCTAAdapter';
+import { GoogleCTAAdapter } from './GoogleCTAAdapter';
+import { IronSourceCTAAdapter } from './IronSourceCTAAdapter';
+
+export {
+  CTAAdapter,
+  MraidCTAAdapter,
+  FacebookCTAAdapter,
+  GoogleCTAAdapter,
+  IronSourceCTAAdapter,
+};
+
+/**
+ * Creates the CTA adapter for the given ad network
+ * @param {string} adNetwork - One of the AD_NETWORKS values
+ * @param {AdContainerBridge} adContainerBridge - Bridge used by the MRAID adapter
+ * @returns {CTAAdapter} Adapter for the network; the default build uses mraid.open when a container is present
+ */
+export function createCTAAdapter(adNetwork, adContainerBridge) {
+  switch (adNetwork) {
+    case AD_NETWORKS.MRAID:
+      return new MraidCTAAdapter(adContainerBridge);
+    case AD_NETWORKS.FACEBOOK:
+      return new FacebookCTAAdapter();
+    case AD_NETWORKS.GOOGLE:
+      return new GoogleCTAAdapter();
+    case AD_NETWORKS.IRONSOURCE:
+      return new IronSourceCTAAdapter();
+    default:
+      return adContainerBridge?.isAvailable()
+        ? new MraidCTAAdapter(adContainerBridge)
+        : new CTAAdapter();
+  }
+}
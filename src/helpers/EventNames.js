@@ -1,4 +1,355 @@
+/**
+ * @fileoverview Event names and payload catalog for the EventBus.
+ * Every event is emitted with at most one payload object; the shapes are documented
+ * below and checked in development builds by EventBus.emit.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+// ==== Wildcard ====
+/** Subscribing to this name receives every event as (eventName, ...args) */
+export const ANY_EVENT_NAME = '*';
+
+// ==== Game flow ====
+export const GAME_STARTED_EVENT_NAME = 'gameStarted';
 export const GAME_OVER_EVENT_NAME = 'gameOver';
 export const PLAY_AGAIN_EVENT_NAME = 'playAgain';
+export const PLAY_AGAIN_REQUESTED_EVENT_NAME = 'playAgainRequested';
+export const GAME_PAUSED_EVENT_NAME = 'gamePaused';
+export const GAME_RESUMED_EVENT_NAME = 'gameResumed';
 export const KILL_COUNT_UPDATE_EVENT_NAME = 'killCountUpdate';
-export const SHOOTING_EVENT_NAME = 'shooting';
+export const TIMER_UPDATE_EVENT_NAME = 'timerUpdate';
+export const WAVE_STARTED_EVENT_NAME = 'waveStarted';
+export const WAVE_CLEARED_EVENT_NAME = 'waveCleared';
+export const SCORE_UPDATE_EVENT_NAME = 'scoreUpdate';
+export const RECORDS_UPDATED_EVENT_NAME = 'recordsUpdated';
+
+// ==== Input ====
+export const JOYSTICK_PRESSED_EVENT_NAME = 'joystickPressed';
+export const JOYSTICK_MOVED_EVENT_NAME = 'joystickMoved';
+export const INPUT_SCHEME_CHANGED_EVENT_NAME = 'inputSchemeChanged';
+
+// ==== Tutorial ====
+export const TUTORIAL_STEP_STARTED_EVENT_NAME = 'tutorialStepStarted';
+export const TUTORIAL_COMPLETED_EVENT_NAME = 'tutorialCompleted';
+
+// ==== Idle ====
+export const IDLE_HINT_SHOWN_EVENT_NAME = 'idleHintShown';
+export const IDLE_HINT_HIDDEN_EVENT_NAME = 'idleHintHidden';
+export const END_CARD_FORCED_EVENT_NAME = 'endCardForced';
+
+// ==== Targets ====
+export const TARGET_HIT_EVENT_NAME = 'targetHit';
+export const TARGET_ELIMINATED_EVENT_NAME = 'targetEliminated';
+
+// ==== Weapon ====
+export const FIRE_REQUESTED_EVENT_NAME = 'fireRequested';
+export const FIRE_RELEASED_EVENT_NAME = 'fireReleased';
+export const WEAPON_FIRED_EVENT_NAME = 'weaponFired';
+export const WEAPON_RELOAD_STARTED_EVENT_NAME = 'weaponReloadStarted';
+export const WEAPON_RELOADED_EVENT_NAME = 'weaponReloaded';
+export const RELOAD_REQUESTED_EVENT_NAME = 'reloadRequested';
+export const WEAPON_EMPTY_EVENT_NAME = 'weaponEmpty';
+export const WEAPON_SWITCH_REQUESTED_EVENT_NAME = 'weaponSwitchRequested';
+export const WEAPON_SWITCHED_EVENT_NAME = 'weaponSwitched';
+export const WEAPON_INSPECT_REQUESTED_EVENT_NAME = 'weaponInspectRequested';
+export const WEAPON_STATE_CHANGED_EVENT_NAME = 'weaponStateChanged';
+
+/**
+ * @typedef {Object} GameStartedPayload
+ * @property {string} configName - Name of the active target configuration
+ */
+
+/**
+ * @typedef {Object} GameStats
+ * @property {number} killCount - Targets eliminated
+ * @property {number} shotsFired - Shots fired during the round
+ * @property {number} hits - Shots that hit a target
+ * @property {number} headshots - Hits in the head zone
+ * @property {number} misses - Shots that hit nothing
+ * @property {number} accuracy - hits / shotsFired, between 0 and 1
+ * @property {number} elapsedTime - Round duration in seconds (paused time excluded)
+ * @property {number} score - Points scored during the round
+ * @property {number|null} remainingTime - Seconds left on the time-attack clock, null in other modes
+ * @property {number|null} wave - Survival wave the round ended in, null in other modes
+ */
+
+/**
+ * @typedef {Object} GameOverPayload
+ * @property {string} result - One of the GAME_RESULTS values ('win' or 'lose')
+ * @property {string} reason - One of the GAME_OVER_REASONS values
+ * @property {GameStats} stats - Round statistics
+ */
+
+/**
+ * @typedef {Object} PlayAgainRequestedPayload
+ * @property {string} source - What requested the restart ('gamepad')
+ */
+
+/**
+ * @typedef {Object} GamePausedPayload
+ * @property {string} reason - One of the PAUSE_REASONS values
+ */
+
+/**
+ * @typedef {Object} KillCountUpdatePayload
+ * @property {number} killCount - Targets eliminated so far
+ * @property {number} killCountToWin - Kills needed to win
+ */
+
+/**
+ * @typedef {Object} TimerUpdatePayload
+ * @property {number} remainingTime - Whole seconds left on the time-attack clock or survival wave timer (rounded up)
+ * @property {number} timeLimit - Round or wave duration in seconds
+ */
+
+/**
+ * @typedef {Object} WaveStartedPayload
+ * @property {number} wave - Wave number, starting at 1
+ * @property {number} targetCount - Targets in the wave
+ * @property {number} hp - Health points of each target
+ * @property {number} duration - Wave timer in seconds
+ */
+
+/**
+ * @typedef {Object} WaveClearedPayload
+ * @property {number} wave - Wave number that was cleared
+ * @property {number} remainingTime - Seconds left on the wave timer
+ */
+
+/**
+ * @typedef {Object} ScoreUpdatePayload
+ * @property {number} score - Total points in the round
+ * @property {number} points - Points added by the last hit or kill (0 on combo changes and resets)
+ * @property {number} multiplier - Current combo multiplier
+ * @property {number} combo - Consecutive hits counting toward the multiplier
+ */
+
+/**
+ * @typedef {Object} RecordsUpdatedPayload
+ * @property {string} configName - TARGET_CONFIGS key the records belong to
+ * @property {number} bestScore - Best score for the configuration
+ * @property {number|null} bestTime - Best winning time in seconds, null when never won
+ * @property {boolean} isNewBestScore - Whether the round set the best score
+ * @property {boolean} isNewBestTime - Whether the round set the best time
+ * @property {number} lifetimeKills - Targets eliminated over every session
+ * @property {number} sessions - Sessions started
+ */
+
+/**
+ * @typedef {Object} JoystickInputPayload
+ * @property {string} stick - Joystick that received the input ('move' or 'look')
+ */
+
+/**
+ * @typedef {Object} InputSchemeChangedPayload
+ * @property {'touch'|'desktop'} scheme - Control scheme now in use
+ */
+
+/**
+ * @typedef {Object} TutorialStepStartedPayload
+ * @property {string} step - Step id ('move', 'look' or 'aim')
+ * @property {number} index - Step position, starting at 0
+ * @property {number} total - Number of steps
+ */
+
+/**
+ * @typedef {Object} TutorialCompletedPayload
+ * @property {boolean} skipped - Whether the player skipped the tutorial
+ */
+
+/**
+ * @typedef {Object} IdleHintShownPayload
+ * @property {number} idleTime - Seconds since the last input
+ */
+
+/**
+ * @typedef {Object} EndCardForcedPayload
+ * @property {'idle'|'session'} reason - Limit that ended the round
+ * @property {number} idleTime - Seconds since the last input
+ * @property {number} sessionTime - Seconds played in the session
+ */
+
+/**
+ * @typedef {Object} TargetHitPayload
+ * @property {number} targetId - Index of the target in TargetController.targets
+ * @property {number} damage - Damage dealt by the hit
+ * @property {number} remainingHp - Target hp after the hit
+ * @property {THREE.Vector3} hitPoint - World-space point where the ray hit
+ * @property {number} distance - Distance from the camera to the hit point
+ * @property {string} zone - Name of the HIT_ZONES entry that was hit ('head', 'torso' or 'limb')
+ * @property {boolean} isHeadshot - Whether the hit was in the head zone
+ */
+
+/**
+ * @typedef {Object} TargetEliminatedPayload
+ * @property {number} targetId - Index of the target in TargetController.targets
+ * @property {number} killCount - Targets eliminated so far, including this one
+ */
+
+/**
+ * @typedef {Object} FireRequestedPayload
+ * @property {string} source - What requested the shot ('button', 'tap' or 'click')
+ */
+
+/**
+ * @typedef {Object} FireReleasedPayload
+ * @property {string} source - What released the trigger ('button', 'tap' or 'click')
+ */
+
+/**
+ * @typedef {Object} WeaponFiredPayload
+ * @property {boolean} hit - Whether the shot hit a target
+ * @property {number} magAmmo - Rounds left in the magazine after the shot
+ * @property {number} maxMagAmmo - Magazine capacity
+ */
+
+/**
+ * @typedef {Object} WeaponReloadStartedPayload
+ * @property {number} magAmmo - Rounds left in the magazine when the reload started
+ * @property {number} duration - Length of the reload animation in seconds
+ */
+
+/**
+ * @typedef {Object} ReloadRequestedPayload
+ * @property {string} source - What requested the reload ('button' or 'key')
+ */
+
+/**
+ * @typedef {Object} WeaponReloadedPayload
+ * @property {number} magAmmo - Rounds in the magazine after reloading
+ * @property {number} maxMagAmmo - Magazine capacity
+ */
+
+/**
+ * @typedef {Object} WeaponEmptyPayload
+ * @property {number} maxMagAmmo - Magazine capacity
+ */
+
+/**
+ * @typedef {Object} WeaponSwitchRequestedPayload
+ * @property {string} source - What requested the switch ('button' or 'key')
+ * @property {number} [index] - WEAPON_LOADOUT slot to equip; omitted cycles to the next weapon
+ */
+
+/**
+ * @typedef {Object} WeaponSwitchedPayload
+ * @property {string} weaponId - WEAPON_DEFINITIONS key of the equipped weapon
+ * @property {string} name - Display name of the equipped weapon
+ * @property {number} magAmmo - Rounds in the equipped weapon's magazine
+ * @property {number} maxMagAmmo - Magazine capacity of the equipped weapon
+ */
+
+/**
+ * @typedef {Object} WeaponInspectRequestedPayload
+ * @property {string} source - What requested the inspect ('key')
+ */
+
+/**
+ * @typedef {Object} WeaponStateChangedPayload
+ * @property {string} weaponId - WEAPON_DEFINITIONS key of the weapon
+ * @property {string} from - Previous state ('none' when the weapon was holstered)
+ * @property {string} to - New state ('deploy', 'idle', 'fire', 'reload' or 'inspect')
+ * @property {boolean} interrupted - Whether the previous state was cut short
+ */
+
+/**
+ * Payload shapes per event, used by the development-mode validator
+ * `null` means the event carries no payload. Field values are typeof names,
+ * or arrays of allowed values.
+ * @type {Object.<string, Object.<string, string|Array>|null>}
+ */
+export const EVENT_CATALOG = {
+  [GAME_STARTED_EVENT_NAME]: { configName: 'string' },
+  [GAME_OVER_EVENT_NAME]: {
+    result: ['win', 'lose'],
+    reason: ['kills', 'timeUp', 'waveFailed', 'idle', 'session'],
+    stats: 'object',
+  },
+  [PLAY_AGAIN_EVENT_NAME]: null,
+  [PLAY_AGAIN_REQUESTED_EVENT_NAME]: { source: ['gamepad'] },
+  [GAME_PAUSED_EVENT_NAME]: { reason: 'string' },
+  [GAME_RESUMED_EVENT_NAME]: { reason: 'string' },
+  [KILL_COUNT_UPDATE_EVENT_NAME]: {
+    killCount: 'number',
+    killCountToWin: 'number',
+  },
+  [TIMER_UPDATE_EVENT_NAME]: { remainingTime: 'number', timeLimit: 'number' },
+  [WAVE_STARTED_EVENT_NAME]: {
+    wave: 'number',
+    targetCount: 'number',
+    hp: 'number',
+    duration: 'number',
+  },
+  [WAVE_CLEARED_EVENT_NAME]: { wave: 'number', remainingTime: 'number' },
+  [RECORDS_UPDATED_EVENT_NAME]: {
+    configName: 'string',
+    bestScore: 'number',
+    isNewBestScore: 'boolean',
+    isNewBestTime: 'boolean',
+    lifetimeKills: 'number',
+    sessions: 'number',
+  },
+  [SCORE_UPDATE_EVENT_NAME]: {
+    score: 'number',
+    points: 'number',
+    multiplier: 'number',
+    combo: 'number',
+  },
+  [JOYSTICK_PRESSED_EVENT_NAME]: { stick: ['move', 'look'] },
+  [JOYSTICK_MOVED_EVENT_NAME]: { stick: ['move', 'look'] },
+  [INPUT_SCHEME_CHANGED_EVENT_NAME]: { scheme: ['touch', 'desktop'] },
+  [TUTORIAL_STEP_STARTED_EVENT_NAME]: {
+    step: ['move', 'look', 'aim'],
+    index: 'number',
+    total: 'number',
+  },
+  [TUTORIAL_COMPLETED_EVENT_NAME]: { skipped: 'boolean' },
+  [IDLE_HINT_SHOWN_EVENT_NAME]: { idleTime: 'number' },
+  [IDLE_HINT_HIDDEN_EVENT_NAME]: null,
+  [END_CARD_FORCED_EVENT_NAME]: {
+    reason: ['idle', 'session'],
+    idleTime: 'number',
+    sessionTime: 'number',
+  },
+  [TARGET_HIT_EVENT_NAME]: {
+    targetId: 'number',
+    damage: 'number',
+    remainingHp: 'number',
+    hitPoint: 'object',
+    distance: 'number',
+    zone: ['head', 'torso', 'limb'],
+    isHeadshot: 'boolean',
+  },
+  [TARGET_ELIMINATED_EVENT_NAME]: { targetId: 'number', killCount: 'number' },
+  [FIRE_REQUESTED_EVENT_NAME]: {
+    source: ['button', 'tap', 'click'],
+  },
+  [FIRE_RELEASED_EVENT_NAME]: {
+    source: ['button', 'tap', 'click'],
+  },
+  [WEAPON_FIRED_EVENT_NAME]: {
+    hit: 'boolean',
+    magAmmo: 'number',
+    maxMagAmmo: 'number',
+  },
+  [WEAPON_RELOAD_STARTED_EVENT_NAME]: { magAmmo: 'number', duration: 'number' },
+  [WEAPON_RELOADED_EVENT_NAME]: { magAmmo: 'number', maxMagAmmo: 'number' },
+  [RELOAD_REQUESTED_EVENT_NAME]: { source: ['button', 'key'] },
+  [WEAPON_EMPTY_EVENT_NAME]: { maxMagAmmo: 'number' },
+  [WEAPON_SWITCH_REQUESTED_EVENT_NAME]: { source: ['button', 'key'] },
+  [WEAPON_SWITCHED_EVENT_NAME]: {
+    weaponId: 'string',
+    name: 'string',
+    magAmmo: 'number',
+    maxMagAmmo: 'number',
+  },
+  [WEAPON_INSPECT_REQUESTED_EVENT_NAME]: { source: ['key'] },
+  [WEAPON_STATE_CHANGED_EVENT_NAME]: {
+    weaponId: 'string',
+    from: ['none', 'deploy', 'idle', 'fire', 'reload', 'inspect'],
+    to: ['deploy', 'idle', 'fire', 'reload', 'inspect'],
+    interrupted: 'boolean',
+  },
+};
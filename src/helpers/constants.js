@@ -26,8 +26,6 @@ export const Y_AXIS_VECTOR = new THREE.Vector3(0, 1, 0);
  * @type {Object}
  */
 export const GAME_CONFIG = {
-  /** Maximum ammunition in magazine */
-  MAX_MAG_AMMO: 7,
   /** Player movement speed */
   MOVE_SPEED: 50,
   /** Player rotation speed */
@@ -42,20 +40,14 @@ export const GAME_CONFIG = {
   CAMERA_NEAR: 0.1,
   /** Camera far clipping plane */
   CAMERA_FAR: 1000,
-  /** Weapon model scale */
-  WEAPON_SCALE: 0.15,
-  /** Weapon Y-axis offset */
-  WEAPON_Y_OFFSET: -24.5,
-  /** Weapon Z-axis offset */
-  WEAPON_Z_OFFSET: -2.5,
-  /** Weapon Y-axis rotation in radians */
-  WEAPON_Y_ROTATION: Math.PI * 1.05,
-  /** Weapon X-axis rotation in radians */
-  WEAPON_X_ROTATION: -Math.PI * 0.02,
   /** Maximum pitch angle for camera in radians */
   PITCH_CLAMP: Math.PI * 0.1,
+  /** Maximum frame delta in seconds, guards against huge steps after stalls */
+  MAX_FRAME_DELTA: 0.1,
   /** Number of kills needed to win the game */
   KILL_COUNT_TO_WIN: 10, // Number of kills needed to win the game
+  /** Time-attack limit in seconds for target configs without a timeLimit */
+  DEFAULT_TIME_LIMIT: 45,
   // Player initial position
   /** Player initial position coordinates */
   PLAYER_INITIAL_POSITION: { x: 0, y: 0, z: 40 },
@@ -69,6 +61,449 @@ export const GAME_CONFIG = {
   },
 };
 
+// Trigger modes
+/**
+ * How a weapon responds to the trigger
+ * @type {Object.<string, string>}
+ */
+export const TRIGGER_MODES = {
+  /** One shot per trigger pull */
+  SEMI: 'semi',
+  /** burstCount shots per trigger pull */
+  BURST: 'burst',
+  /** Keeps firing while the trigger is held */
+  FULL_AUTO: 'fullAuto',
+};
+
+// Weapon definitions
+/**
+ * Frame ranges of the ANIMATION_CONFIG.WEAPON_ACTIONS inside the Vortex animation clip,
+ * shared by every weapon built on the Vortex model
+ * @type {Object.<string, Object>}
+ */
+const VORTEX_FRAME_RANGES = {
+  DEPLOY: { start: 0, end: 29 },
+  IDLE: { start: 30, end: 31 },
+  FIRE: { start: 32, end: 56 },
+  RELOAD: { start: 58, end: 127 },
+  // The clip has no inspect take; the deploy motion stands in
+  INSPECT: { start: 0, end: 29 },
+};
+
+/**
+ * Weapon registry; PlayerController builds each view model from its entry
+ * Weapons sharing a model asset get their own SkeletonUtils clone
+ * @type {Object.<string, Object>}
+ */
+export const WEAPON_DEFINITIONS = {
+  VORTEX: {
+    name: 'Vortex',
+    /** AssetLoader key of the weapon model */
+    modelAssetKey: 'mergedFBXBase64',
+    /** AssetLoader key of the FBX holding the weapon animation clip */
+    animationAssetKey: 'mergedAnimFBXBase64',
+    /** Frame ranges of the ANIMATION_CONFIG.WEAPON_ACTIONS inside the clip */
+    frameRanges: VORTEX_FRAME_RANGES,
+    /** Rounds per magazine */
+    magazineSize: 7,
+    /** Rounds per minute, enforced by the PlayerController fire cooldown */
+    fireRate: 300,
+    /** One of the TRIGGER_MODES values */
+    triggerMode: TRIGGER_MODES.SEMI,
+    /** Shots per trigger pull in BURST mode */
+    burstCount: 1,
+    /** Damage per hit */
+    damage: 1,
+    /** Base spread cone half-angle in radians */
+    spread: 0.005,
+    /** Spread added by each shot in radians, recovered over time */
+    spreadPerShot: 0.015,
+    /** Camera pitch kick per shot in radians, recovered over time */
+    recoil: 0.02,
+    /** Model transform relative to the camera */
+    viewModel: {
+      scale: 0.15,
+      offset: { x: 0, y: -24.5, z: -2.5 },
+      rotation: { x: -Math.PI * 0.02, y: Math.PI * 1.05 },
+    },
+  },
+
+  // Same model and animations, three-round bursts
+  VORTEX_BURST: {
+    name: 'Vortex Burst',
+    modelAssetKey: 'mergedFBXBase64',
+    animationAssetKey: 'mergedAnimFBXBase64',
+    frameRanges: VORTEX_FRAME_RANGES,
+    magazineSize: 12,
+    fireRate: 600,
+    triggerMode: TRIGGER_MODES.BURST,
+    burstCount: 3,
+    damage: 1,
+    spread: 0.008,
+    spreadPerShot: 0.01,
+    recoil: 0.015,
+    viewModel: {
+      scale: 0.15,
+      offset: { x: -0.3, y: -24.5, z: -2.5 },
+      rotation: { x: -Math.PI * 0.02, y: Math.PI * 1.06 },
+    },
+  },
+
+  // Same model and animations, fires while the trigger is held
+  VORTEX_AUTO: {
+    name: 'Vortex Auto',
+    modelAssetKey: 'mergedFBXBase64',
+    animationAssetKey: 'mergedAnimFBXBase64',
+    frameRanges: VORTEX_FRAME_RANGES,
+    magazineSize: 20,
+    fireRate: 540,
+    triggerMode: TRIGGER_MODES.FULL_AUTO,
+    burstCount: 1,
+    damage: 1,
+    spread: 0.012,
+    spreadPerShot: 0.006,
+    recoil: 0.01,
+    viewModel: {
+      scale: 0.15,
+      offset: { x: 0, y: -25, z: -2.8 },
+      rotation: { x: -Math.PI * 0.025, y: Math.PI * 1.05 },
+    },
+  },
+
+  // Same model and animations, slower and harder hitting
+  VORTEX_HEAVY: {
+    name: 'Vortex Heavy',
+    modelAssetKey: 'mergedFBXBase64',
+    animationAssetKey: 'mergedAnimFBXBase64',
+    frameRanges: VORTEX_FRAME_RANGES,
+    magazineSize: 4,
+    fireRate: 120,
+    triggerMode: TRIGGER_MODES.SEMI,
+    burstCount: 1,
+    damage: 2,
+    spread: 0.01,
+    spreadPerShot: 0.03,
+    recoil: 0.04,
+    viewModel: {
+      scale: 0.16,
+      offset: { x: 0.5, y: -25.5, z: -3 },
+      rotation: { x: -Math.PI * 0.03, y: Math.PI * 1.04 },
+    },
+  },
+};
+
+/**
+ * Keys of WEAPON_DEFINITIONS the player carries, in slot order (number keys 1..N)
+ * The first weapon is equipped at the start of every round
+ * @type {Array<string>}
+ */
+export const WEAPON_LOADOUT = [
+  'VORTEX',
+  'VORTEX_BURST',
+  'VORTEX_AUTO',
+  'VORTEX_HEAVY',
+];
+
+// Spread and recoil
+/**
+ * Shared spread cone and recoil tuning; per-shot amounts come from the weapon definitions
+ * @type {Object}
+ */
+export const SPREAD_CONFIG = {
+  /** Extra spread while moving in radians */
+  MOVING_SPREAD: 0.02,
+  /** Upper limit of the spread cone half-angle in radians */
+  MAX_SPREAD: 0.08,
+  /** Spread recovered (or gained while moving) per second in radians */
+  RECOVERY_RATE: 0.05,
+  /** Recoil pitch recovered per second in radians */
+  RECOIL_RECOVERY_RATE: 0.1,
+};
+
+// Aim assist
+/**
+ * Look slowdown and magnetism near live targets, applied to the rotation update
+ * @type {Object}
+ */
+export const AIM_ASSIST_CONFIG = {
+  /** Whether aim assist is applied */
+  ENABLED: true,
+  /** Half-angle in radians of the cone around the crosshair in which a target is assisted */
+  CONE_ANGLE: 0.08,
+  /** Targets farther away than this (world units) are not assisted */
+  MAX_DISTANCE: 150,
+  /** Look input multiplier while a target is inside the cone (1 = no slowdown) */
+  SLOWDOWN: 0.5,
+  /** Share of the angle to the target centre closed per second (0 = no pull) */
+  PULL_STRENGTH: 1.5,
+  /** InputManager sources whose look input is assisted; mouse and gamepad aim unassisted */
+  ASSISTED_SOURCES: ['lookJoystick', 'gyro'],
+  /** Colors of the debug cone outline when idle and when assisting */
+  DEBUG_COLOR: 0xff4444,
+  DEBUG_ACTIVE_COLOR: 0x44ff44,
+};
+
+// Hit zones
+/**
+ * Hit zones of the target dummy, matched in order against the name of the bone with the
+ * most skin weight at the hit face, then against the mesh name. Unmatched hits count as TORSO.
+ * sk_prop_dummy_mesh.fbx bones: Root_JNT, Main_JNT, Pelvis_JNT, Head_JNT, L_Arm_JNT, R_Arm_JNT
+ * @type {Object.<string, Object>}
+ */
+export const HIT_ZONES = {
+  HEAD: { name: 'head', pattern: /head|neck/i, damageMultiplier: 2 },
+  LIMB: {
+    name: 'limb',
+    pattern: /arm|hand|leg|foot/i,
+    damageMultiplier: 0.5,
+  },
+  TORSO: {
+    name: 'torso',
+    pattern: /pelvis|spine|chest|main|root/i,
+    damageMultiplier: 1,
+  },
+};
+
+/* global DEV_MODE */
+/**
+ * @global
+ * DEV_MODE is injected at build time by webpack DefinePlugin (true for `npm start`)
+ */
+export const IS_DEV_MODE = typeof DEV_MODE !== 'undefined' && DEV_MODE === true;
+
+// Debug configuration
+/**
+ * Settings used when GameManager runs with enableDebug
+ * @type {Object}
+ */
+export const DEBUG_CONFIG = {
+  /** Number of recent events kept in the EventBus history */
+  EVENT_HISTORY_SIZE: 200,
+};
+
+// Storage configuration
+/**
+ * Where RecordsStore keeps best results and lifetime statistics
+ * @type {Object}
+ */
+export const STORAGE_CONFIG = {
+  /** Web Storage key of the records entry */
+  KEY: 'polygun_arena.records',
+  /** Records format version; entries with another version are discarded */
+  VERSION: 1,
+  /** Web Storage key set once the tutorial has been completed or skipped */
+  TUTORIAL_KEY: 'polygun_arena.tutorialDone',
+};
+
+// Tutorial configuration
+/**
+ * Timing and placement of the first-play tutorial hints
+ * @type {Object}
+ */
+export const TUTORIAL_CONFIG = {
+  /** Duration of one hand hint animation loop in seconds */
+  HINT_ANIMATION_DURATION: 1.6,
+  /** Pause before the next step's hint appears in ms */
+  STEP_DELAY: 400,
+  /** Hand hint position over the move joystick area, in viewport % */
+  MOVE_HINT_POSITION: { x: 25, y: 70 },
+  /** Hand hint position over the look area, in viewport % */
+  LOOK_HINT_POSITION: { x: 75, y: 60 },
+  /** Distance the hand travels during a hint, in vh */
+  HINT_TRAVEL: 8,
+};
+
+// Idle configuration
+/**
+ * Inactivity limits for playable builds; ad networks require an end card
+ * even when the player stops interacting. A limit of 0 disables it.
+ * @type {Object}
+ */
+export const IDLE_CONFIG = {
+  /** Seconds without input before the idle hint appears */
+  HINT_DELAY: 4,
+  /** Seconds without input before the round is ended and the end card shown */
+  IDLE_TIMEOUT: 15,
+  /** Seconds of play in the whole session before the end card is forced once */
+  SESSION_TIMEOUT: 90,
+};
+
+// Fire modes
+/**
+ * How the player triggers the weapon
+ * @type {Object.<string, string>}
+ */
+export const FIRE_MODES = {
+  /** Fires automatically whenever a target is under the crosshair */
+  AUTO: 'auto',
+  /** Fires on the fire button, a tap on the right half or a mouse click */
+  MANUAL: 'manual',
+};
+
+/* global FIRE_MODE */
+/**
+ * @global
+ * FIRE_MODE is injected at build time by webpack DefinePlugin
+ */
+const fireModeName =
+  typeof FIRE_MODE !== 'undefined' && FIRE_MODE ? FIRE_MODE : 'AUTO';
+export const CURRENT_FIRE_MODE = FIRE_MODES[fireModeName] || FIRE_MODES.AUTO;
+
+// Score configuration
+/**
+ * Points, bonuses and combo multiplier settings for ScoreSystem
+ * @type {Object}
+ */
+export const SCORE_CONFIG = {
+  /** Base points per hit */
+  HIT_POINTS: 10,
+  /** Points per eliminated target */
+  KILL_POINTS: 50,
+  /** Bonus points for a hit in the head zone */
+  HEADSHOT_BONUS: 15,
+  /** Shot distance from which the long-distance bonus applies */
+  LONG_DISTANCE: 60,
+  /** Bonus points for a hit at LONG_DISTANCE or farther */
+  LONG_DISTANCE_BONUS: 10,
+  /** Multiplier added per consecutive hit */
+  COMBO_STEP: 0.25,
+  /** Upper bound on the combo multiplier */
+  MAX_MULTIPLIER: 3,
+  /** Seconds without a hit before the combo drops by one step */
+  COMBO_DECAY_TIME: 2,
+};
+
+// Game modes
+/**
+ * Rules deciding how a round ends
+ * @type {Object.<string, string>}
+ */
+export const GAME_MODES = {
+  /** Round ends when enough targets are eliminated */
+  CLASSIC: 'classic',
+  /** Eliminate the targets before the target config's timeLimit runs out */
+  TIME_ATTACK: 'timeAttack',
+  /** Endless waves of respawning targets; a wave left standing when its timer expires ends the round */
+  SURVIVAL: 'survival',
+};
+
+// Survival configuration
+/**
+ * Wave difficulty progression for survival mode
+ * @type {Object}
+ */
+export const SURVIVAL_CONFIG = {
+  /** Targets in the first wave */
+  INITIAL_COUNT: 3,
+  /** Targets added per wave */
+  COUNT_PER_WAVE: 1,
+  /** Upper bound on targets per wave */
+  MAX_COUNT: 12,
+  /** Target hp in the first wave */
+  INITIAL_HP: 2,
+  /** Target hp added per wave (fractions accumulate, hp is rounded down) */
+  HP_PER_WAVE: 0.5,
+  /** Target movement speed in the first wave */
+  INITIAL_SPEED: 0.5,
+  /** Movement speed added per wave */
+  SPEED_PER_WAVE: 0.25,
+  /** Upper bound on target movement speed */
+  MAX_SPEED: 3,
+  /** Distance targets sway around their spawn point */
+  MOVEMENT_AMPLITUDE: 5,
+  /** Wave timer base duration in seconds */
+  BASE_WAVE_DURATION: 10,
+  /** Wave timer seconds added per target */
+  DURATION_PER_TARGET: 2,
+  /** Pause between a cleared wave and the next one in seconds */
+  WAVE_DELAY: 2,
+  /** Area targets spawn in */
+  SPAWN_BOUNDS: { minX: -40, maxX: 40, minZ: -60, maxZ: -30, y: 0 },
+  /** Minimum distance between spawned targets */
+  MIN_SPAWN_DISTANCE: 8,
+  /** Target size multiplier */
+  SCALE: 0.08,
+};
+
+/**
+ * Computes the difficulty of a survival wave
+ * @param {number} wave - Wave number, starting at 1
+ * @returns {Object} Wave settings { count, hp, speed, duration }
+ */
+export const getWaveSettings = (wave) => {
+  const count = Math.min(
+    SURVIVAL_CONFIG.MAX_COUNT,
+    SURVIVAL_CONFIG.INITIAL_COUNT + (wave - 1) * SURVIVAL_CONFIG.COUNT_PER_WAVE
+  );
+  return {
+    count,
+    hp:
+      SURVIVAL_CONFIG.INITIAL_HP +
+      Math.floor((wave - 1) * SURVIVAL_CONFIG.HP_PER_WAVE),
+    speed: Math.min(
+      SURVIVAL_CONFIG.MAX_SPEED,
+      SURVIVAL_CONFIG.INITIAL_SPEED +
+        (wave - 1) * SURVIVAL_CONFIG.SPEED_PER_WAVE
+    ),
+    duration:
+      SURVIVAL_CONFIG.BASE_WAVE_DURATION +
+      count * SURVIVAL_CONFIG.DURATION_PER_TARGET,
+  };
+};
+
+/* global GAME_MODE */
+/**
+ * @global
+ * GAME_MODE is injected at build time by webpack DefinePlugin
+ */
+const gameModeName =
+  typeof GAME_MODE !== 'undefined' && GAME_MODE ? GAME_MODE : 'CLASSIC';
+export const CURRENT_GAME_MODE = GAME_MODES[gameModeName] || GAME_MODES.CLASSIC;
+
+// Game results
+/**
+ * Possible results reported with the game over event
+ * @type {Object.<string, string>}
+ */
+export const GAME_RESULTS = {
+  WIN: 'win',
+  LOSE: 'lose',
+};
+
+// Game over reasons
+/**
+ * What ended the round, reported with the game over event next to the result
+ * @type {Object.<string, string>}
+ */
+export const GAME_OVER_REASONS = {
+  /** Enough targets were eliminated */
+  KILLS: 'kills',
+  /** The time-attack countdown ran out */
+  TIME_UP: 'timeUp',
+  /** A survival wave timer ran out */
+  WAVE_FAILED: 'waveFailed',
+  /** The idle watcher forced the end card after IDLE_TIMEOUT without input */
+  IDLE: 'idle',
+  /** The idle watcher forced the end card at SESSION_TIMEOUT */
+  SESSION: 'session',
+};
+
+// Pause reasons
+/**
+ * Sources that can pause the game loop; the game resumes only when none is active
+ * @type {Object.<string, string>}
+ */
+export const PAUSE_REASONS = {
+  /** Browser tab hidden (visibilitychange) */
+  VISIBILITY: 'visibility',
+  /** Ad container reported the ad as not viewable */
+  AD_CONTAINER: 'adContainer',
+  /** Paused from code */
+  MANUAL: 'manual',
+  /** Pause action from the keyboard or a gamepad */
+  INPUT: 'input',
+};
+
 // Target configuration presets
 /**
  * Target configuration presets for different target arrangements
@@ -85,6 +520,7 @@ export const TARGET_CONFIGS = {
     basePosition: { x: -45, y: 0, z: -50 },
     scale: 0.08,
     hp: 4,
+    timeLimit: 40, // Seconds, time-attack mode
   },
 
   // Circular arrangement
@@ -96,6 +532,7 @@ export const TARGET_CONFIGS = {
     centerPosition: { x: 0, y: 0, z: -50 },
     scale: 0.08,
     hp: 3,
+    timeLimit: 35, // Seconds, time-attack mode
     startAngle: 0, // Starting angle in radians
   },
 
@@ -109,6 +546,7 @@ export const TARGET_CONFIGS = {
     basePosition: { x: -30, y: 0, z: -50 },
     scale: 0.08,
     hp: 5,
+    timeLimit: 60, // Seconds, time-attack mode
   },
 
   // V-shaped formation
@@ -121,6 +559,7 @@ export const TARGET_CONFIGS = {
     spacing: 8,
     scale: 0.08,
     hp: 4,
+    timeLimit: 35, // Seconds, time-attack mode
   },
 
   // Random scattered positions
@@ -137,6 +576,7 @@ export const TARGET_CONFIGS = {
     },
     scale: 0.08,
     hp: 3,
+    timeLimit: 50, // Seconds, time-attack mode
     minDistance: 8, // Minimum distance between targets
   },
 
@@ -150,6 +590,7 @@ export const TARGET_CONFIGS = {
     basePosition: { x: 0, y: 0, z: -50 },
     scale: 0.08,
     hp: 4,
+    timeLimit: 60, // Seconds, time-attack mode
   },
 
   // Moving targets
@@ -161,6 +602,7 @@ export const TARGET_CONFIGS = {
     spacing: 12,
     scale: 0.08,
     hp: 3,
+    timeLimit: 45, // Seconds, time-attack mode
     movement: {
       enabled: true,
       amplitude: 5,
@@ -181,6 +623,13 @@ const configName =
     : 'LINEAR';
 export const CURRENT_TARGET_CONFIG =
   TARGET_CONFIGS[configName] || TARGET_CONFIGS.SCATTERED;
+/**
+ * Key of the active entry in TARGET_CONFIGS
+ * @type {string}
+ */
+export const CURRENT_TARGET_CONFIG_NAME = TARGET_CONFIGS[configName]
+  ? configName
+  : 'SCATTERED';
 
 // Computed effective kill count (ensures game is always winnable)
 // Uses the current target configuration count instead of the old GAME_CONFIG.TARGET_COUNT
@@ -209,6 +658,13 @@ export const getEffectiveKillCountToWin = () => {
   return Math.min(currentTargetCount, GAME_CONFIG.KILL_COUNT_TO_WIN);
 };
 
+/**
+ * Time-attack limit of the current target configuration
+ * @returns {number} Round duration in seconds
+ */
+export const getTimeLimit = () =>
+  CURRENT_TARGET_CONFIG.timeLimit ?? GAME_CONFIG.DEFAULT_TIME_LIMIT;
+
 // Joystick configuration
 /**
  * Joystick configuration settings
@@ -223,6 +679,130 @@ export const JOYSTICK_CONFIG = {
   MAX_RADIUS_RATIO: 0.35,
   /** CSS transition duration */
   TRANSITION_DURATION: '40ms',
+  /** Longest press in ms still treated as a tap (tap-to-shoot) */
+  TAP_MAX_DURATION: 250,
+  /** Largest movement in px still treated as a tap (tap-to-shoot) */
+  TAP_MAX_DISTANCE: 10,
+};
+
+// Input actions
+/**
+ * Actions the InputManager aggregates from its sources
+ * MOVE and LOOK are vectors; FIRE, RELOAD and PAUSE are buttons
+ * @type {Object.<string, string>}
+ */
+export const INPUT_ACTIONS = {
+  MOVE: 'move',
+  LOOK: 'look',
+  FIRE: 'fire',
+  RELOAD: 'reload',
+  PAUSE: 'pause',
+};
+
+/**
+ * Per-action priority of each input source; for MOVE and LOOK the highest-priority
+ * source with a non-zero value wins the frame. Buttons combine every source.
+ * @type {Object.<string, Object.<string, number>>}
+ */
+export const INPUT_SOURCE_PRIORITIES = {
+  /** Scripted input from tests or the debug console overrides the player */
+  synthetic: { move: 40, look: 40 },
+  /** Keyboard movement and mouse look */
+  desktop: { move: 30, look: 30 },
+  /** Gamepad sticks */
+  gamepad: { move: 20, look: 20 },
+  /** On-screen joysticks; gyro aiming shares the look priority, so the two blend */
+  moveJoystick: { move: 10 },
+  lookJoystick: { look: 10 },
+  gyro: { look: 10 },
+};
+
+// Gyro aiming configuration
+/* global GYRO */
+/**
+ * @global
+ * GYRO is injected at build time by webpack DefinePlugin ('1' enables gyro aiming)
+ */
+const isGyroBuild = typeof GYRO !== 'undefined' && String(GYRO) === '1';
+
+/**
+ * Device orientation (gyroscope) aiming settings
+ * @type {Object}
+ */
+export const GYRO_CONFIG = {
+  /** Whether tilting the device aims (`--env GYRO=1`); iOS asks for permission on the next tap */
+  ENABLED: isGyroBuild,
+  /** Camera rotation per radian of device rotation */
+  SENSITIVITY: 1,
+  /** Device rotation (radians) between two readings that is ignored as sensor noise */
+  NOISE_THRESHOLD: 0.0005,
+};
+
+// Gamepad configuration
+/**
+ * Gamepad stick and button settings (standard mapping, https://w3c.github.io/gamepad/#remapping)
+ * @type {Object}
+ */
+export const GAMEPAD_CONFIG = {
+  /** Left stick deflection (0..1) below which the stick reads as centered */
+  MOVE_DEAD_ZONE: 0.2,
+  /** Right stick deflection (0..1) below which the stick reads as centered */
+  LOOK_DEAD_ZONE: 0.15,
+  /** Left stick response curve exponent; above 1 gives finer control near the center */
+  MOVE_CURVE: 1.5,
+  /** Right stick response curve exponent */
+  LOOK_CURVE: 2,
+  /** Camera rotation at full right-stick deflection, in radians per second */
+  LOOK_SPEED: 2.5,
+  /** Trigger value (0..1) above which a trigger counts as pulled */
+  TRIGGER_THRESHOLD: 0.5,
+  /** Button indices that fire (LT and RT) */
+  FIRE_BUTTONS: [6, 7],
+  /** Button index that reloads, and presses Play Again on the end card (A) */
+  CONFIRM_BUTTON: 0,
+  /** Button index that pauses and resumes (Start) */
+  PAUSE_BUTTON: 9,
+  /** Axis indices of the left (move) stick */
+  MOVE_AXES: [0, 1],
+  /** Axis indices of the right (look) stick */
+  LOOK_AXES: [2, 3],
+  /** Shortest time in ms between two input events reported for a held stick */
+  INPUT_EVENT_INTERVAL: 500,
+};
+
+// Input schemes
+/**
+ * Control schemes the player can switch between at runtime
+ * @type {Object}
+ */
+export const INPUT_SCHEMES = {
+  /** On-screen joysticks driven by touch (or mouse drags without a keyboard) */
+  TOUCH: 'touch',
+  /** Keyboard movement with pointer-lock mouse look */
+  DESKTOP: 'desktop',
+};
+
+// Desktop input configuration
+/**
+ * Keyboard and mouse settings of the desktop input scheme
+ * @type {Object}
+ */
+export const DESKTOP_INPUT_CONFIG = {
+  /** Camera rotation per pixel of mouse movement, in radians */
+  MOUSE_SENSITIVITY: 0.0025,
+  /** Whether moving the mouse up looks down */
+  INVERT_Y: false,
+  /** Shortest time in ms between two input events reported for held keys or mouse look */
+  INPUT_EVENT_INTERVAL: 500,
+  /** Key code (KeyboardEvent.code) that pauses and resumes */
+  PAUSE_KEY: 'KeyP',
+  /** Key codes (KeyboardEvent.code) per movement direction */
+  MOVE_KEYS: {
+    FORWARD: ['KeyW', 'ArrowUp'],
+    BACK: ['KeyS', 'ArrowDown'],
+    LEFT: ['KeyA', 'ArrowLeft'],
+    RIGHT: ['KeyD', 'ArrowRight'],
+  },
 };
 
 // UI configuration
@@ -233,8 +813,8 @@ export const JOYSTICK_CONFIG = {
 export const UI_CONFIG = {
   /** Crosshair line thickness */
   CROSSHAIR_THICKNESS: '0.2vh',
-  /** Duration of crosshair spread animation in ms */
-  CROSSHAIR_SPREAD_DURATION: 200, // Duration of spread animation in ms
+  /** Gap between the crosshair center and its lines at zero spread */
+  CROSSHAIR_GAP: 0.8, // vh
   /** Hit marker size */
   HIT_MARKER_SIZE: '6vh',
   /** Hit marker line length */
@@ -245,6 +825,8 @@ export const UI_CONFIG = {
   HIT_MARKER_THICKNESS: '0.2vh',
   /** Hit marker display duration in ms */
   HIT_MARKER_DURATION: 300,
+  /** Headshot label display duration in ms */
+  HEADSHOT_MARKER_DURATION: 600,
   /** Button padding */
   BUTTON_PADDING: '2vh 4vh',
   /** Button font size */
@@ -257,6 +839,28 @@ export const UI_CONFIG = {
   BUTTON_GAP: '2vh',
   /** Overlay background color */
   OVERLAY_BACKGROUND: 'rgba(0,0,0,0.6)',
+  /** Ammo counter minimum width */
+  AMMO_COUNTER_MIN_WIDTH: '14vh',
+  /** Reload progress bar height */
+  RELOAD_BAR_HEIGHT: '0.8vh',
+  /** Reload button distance from the top edge (below the ammo counter) */
+  RELOAD_BUTTON_TOP: '10vh',
+  /** Weapon switch button distance from the top edge (below the reload button) */
+  WEAPON_BUTTON_TOP: '16vh',
+  /** Fire button diameter */
+  FIRE_BUTTON_SIZE: '14vh',
+  /** Fire button distance from the right and bottom screen edges */
+  FIRE_BUTTON_MARGIN: '6vh',
+  /** Score counter distance from the top edge (below the kill counter) */
+  SCORE_COUNTER_TOP: '8vh',
+  /** Survival wave counter distance from the top edge (below the score counter) */
+  WAVE_COUNTER_TOP: '14vh',
+  /** Game over summary card padding */
+  SUMMARY_CARD_PADDING: '3vh 4vh',
+  /** Game over summary card minimum width */
+  SUMMARY_CARD_MIN_WIDTH: '40vh',
+  /** Remaining seconds at which the countdown switches to its warning color */
+  COUNTDOWN_WARNING_TIME: 10,
 };
 
 // Animation configuration
@@ -265,12 +869,48 @@ export const UI_CONFIG = {
  * @type {Object}
  */
 export const ANIMATION_CONFIG = {
-  /** Weapon animation actions with frame ranges */
+  /**
+   * Weapon animation states; frame ranges come from each weapon's frameRanges
+   * loop: repeat the action; next: state entered when the action completes;
+   * fadeIn: cross-fade into the state in seconds; interruptibleBy: states that may
+   * cut the action short (deploy is only forced, on weapon switch and reset)
+   */
   WEAPON_ACTIONS: {
-    DEPLOY: { name: 'deploy', start: 0, end: 29 },
-    IDLE: { name: 'idle', start: 30, end: 31 },
-    FIRE: { name: 'fire', start: 32, end: 56 },
-    RELOAD: { name: 'reload', start: 58, end: 127 },
+    DEPLOY: {
+      name: 'deploy',
+      loop: false,
+      next: 'idle',
+      fadeIn: 0,
+      interruptibleBy: [],
+    },
+    IDLE: {
+      name: 'idle',
+      loop: true,
+      next: null,
+      fadeIn: 0.15,
+      interruptibleBy: ['fire', 'reload', 'inspect'],
+    },
+    FIRE: {
+      name: 'fire',
+      loop: false,
+      next: 'idle',
+      fadeIn: 0.05,
+      interruptibleBy: ['fire', 'reload'],
+    },
+    RELOAD: {
+      name: 'reload',
+      loop: false,
+      next: 'idle',
+      fadeIn: 0.1,
+      interruptibleBy: [],
+    },
+    INSPECT: {
+      name: 'inspect',
+      loop: false,
+      next: 'idle',
+      fadeIn: 0.2,
+      interruptibleBy: ['fire', 'reload'],
+    },
   },
   /** Target elimination animation settings */
   TARGET_ELIMINATION: {
@@ -293,6 +933,8 @@ export const COLORS = {
   CROSSHAIR: 'red',
   /** Hit marker color */
   HIT_MARKER: 'yellow',
+  /** Hit marker and label color for headshots */
+  HEADSHOT_MARKER: '#ff3030',
   /** Button background color */
   BUTTON_BACKGROUND: '#fff',
   /** Button hover color */
@@ -303,6 +945,22 @@ export const COLORS = {
   JOYSTICK_BASE: 'rgba(100,100,100,.35)',
   /** Joystick stick color */
   JOYSTICK_STICK: 'rgba(255,255,255,.6)',
+  /** Reload progress bar color */
+  RELOAD_PROGRESS: '#ffd700',
+  /** Ammo counter text color when the magazine is empty */
+  AMMO_EMPTY: '#ff5050',
+  /** Fire button color */
+  FIRE_BUTTON: 'rgba(220,40,40,.6)',
+  /** Fire button color while pressed */
+  FIRE_BUTTON_PRESSED: 'rgba(255,80,80,.85)',
+  /** Game over summary card background */
+  SUMMARY_CARD_BACKGROUND: 'rgba(20,20,20,0.9)',
+  /** "New best" text color on the summary card */
+  NEW_BEST: '#ffd700',
+  /** Combo multiplier text color */
+  COMBO_MULTIPLIER: '#ffd700',
+  /** Countdown text color in the last seconds */
+  COUNTDOWN_WARNING: '#ff5050',
 };
 
 // App links
@@ -317,3 +975,31 @@ export const APP_LINKS = {
   /** iOS app store link */
   IOS: 'https://apps.apple.com/us/app/polygun-arena-online-shooter/id64510407809',
 };
+
+// Ad networks
+/**
+ * Supported ad networks, each with its own Download CTA exit call
+ * @type {Object.<string, string>}
+ */
+export const AD_NETWORKS = {
+  /** Plain web build, opens the store link with window.open */
+  DEFAULT: 'default',
+  /** MRAID containers (AppLovin, Unity Ads, Vungle...), uses mraid.open */
+  MRAID: 'mraid',
+  /** Meta Audience Network, uses FbPlayableAd.onCTAClick */
+  FACEBOOK: 'facebook',
+  /** Google Ads, uses ExitApi.exit */
+  GOOGLE: 'google',
+  /** ironSource, uses dapi.openStoreUrl */
+  IRONSOURCE: 'ironsource',
+};
+
+/* global AD_NETWORK */
+/**
+ * @global
+ * AD_NETWORK is injected at build time by webpack DefinePlugin
+ */
+const adNetworkName =
+  typeof AD_NETWORK !== 'undefined' && AD_NETWORK ? AD_NETWORK : 'DEFAULT';
+export const CURRENT_AD_NETWORK =
+  AD_NETWORKS[adNetworkName] || AD_NETWORKS.DEFAULT;
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Local MRAID stub used to exercise the ad-container flow without a real SDK.
+ * Implements the subset of the MRAID 2.0/3.0 API the game relies on, plus helpers
+ * to toggle visibility from the browser console.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a stub MRAID object that becomes ready asynchronously
+ * @param {Object} [options] - Stub options
+ * @param {string} [options.version='3.0'] - MRAID version reported by getVersion()
+ * @param {number} [options.readyDelay=100] - Delay in ms before the ready event fires
+ * @param {boolean} [options.viewable=true] - Whether the ad becomes viewable once ready
+ * @returns {Object} MRAID-compatible stub object
+ */
+export function createMraidStub({
+  version = '3.0',
+  readyDelay = 100,
+  viewable = true,
+} = {}) {
+  const listeners = {};
+  let state = 'loading';
+  let isViewable = false;
+
+  const emit = (event, ...args) => {
+    (listeners[event] || []).slice().forEach((cb) => cb(...args));
+  };
+
+  const stub = {
+    getVersion: () => version,
+    getState: () => state,
+    isViewable: () => isViewable,
+    addEventListener(event, cb) {
+      if (!listeners[event]) listeners[event] = [];
+      listeners[event].push(cb);
+    },
+    removeEventListener(event, cb) {
+      if (!listeners[event]) return;
+      listeners[event] = listeners[event].filter((l) => l !== cb);
+    },
+    open(url) {
+      console.warn(`[mraid stub] open: ${url}`);
+    },
+    close() {
+      state = 'hidden';
+      emit('stateChange', state);
+    },
+    /**
+     * Test helper: changes visibility and fires both the 2.0 and 3.0 events
+     * @param {boolean} value - New viewable state
+     */
+    setViewable(value) {
+      isViewable = value;
+      emit('viewableChange', value);
+      emit('exposureChange', value ? 100 : 0, null, null);
+    },
+  };
+
+  setTimeout(() => {
+    state = 'default';
+    emit('ready');
+    if (viewable) stub.setViewable(true);
+  }, readyDelay);
+
+  return stub;
+}
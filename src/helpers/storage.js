@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Storage helpers giving the game a Web Storage object that always works.
+ * Ad iframes and private browsing modes often block localStorage or make it throw,
+ * so the game falls back to an in-memory store that lasts for the page session.
+ *
+ * @author Alper Açık
+ * @version 1.0.0
+ */
+
+/**
+ * Creates an in-memory object implementing the subset of the Storage API the game uses
+ * @returns {Object} Storage-like object with getItem, setItem, removeItem and clear
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    clear: () => {
+      items.clear();
+    },
+  };
+}
+
+/**
+ * Gets localStorage if it can be written to, otherwise an in-memory fallback
+ * Merely reading window.localStorage throws in sandboxed iframes, so the access is guarded too
+ * @returns {Storage|Object} localStorage or a createMemoryStorage() object
+ */
+export function getStorage() {
+  const probeKey = '__polygun_storage_probe__';
+  try {
+    const storage = window.localStorage;
+    storage.setItem(probeKey, probeKey);
+    storage.removeItem(probeKey);
+    return storage;
+  } catch {
+    return createMemoryStorage();
+  }
+}
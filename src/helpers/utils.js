@@ -1,6 +1,6 @@
 /**
  * @fileoverview Utility functions for common operations used throughout the game.
- * Includes base64 conversion and FPS detection utilities.
+ * Includes base64 conversion, FPS detection, time formatting and resource disposal utilities.
  *
  * @author Alper Açık
  * @version 1.0.0
@@ -34,3 +34,44 @@ export function detectFPS(clip) {
   const dt = t.times[1] - t.times[0];
   return Math.round(1 / dt); // → fps
 }
+
+/**
+ * Formats a duration as minutes and zero-padded seconds
+ * @param {number} seconds - Duration in seconds (fractions are rounded up)
+ * @returns {string} Duration as m:ss, e.g. 1:05
+ */
+export function formatTime(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Disposes of all GPU resources held by an object hierarchy
+ * Frees geometries, materials and every texture referenced by those materials.
+ * Shared resources are disposed once, so cloned hierarchies are safe to pass.
+ * @param {THREE.Object3D} root - Root object to traverse
+ */
+export function disposeObject3D(root) {
+  const disposed = new Set();
+  const disposeOnce = (resource) => {
+    if (!resource || disposed.has(resource)) return;
+    disposed.add(resource);
+    resource.dispose();
+  };
+
+  root.traverse((child) => {
+    disposeOnce(child.geometry);
+
+    const materials = Array.isArray(child.material)
+      ? child.material
+      : [child.material];
+    materials.forEach((material) => {
+      if (!material) return;
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) disposeOnce(value);
+      });
+      disposeOnce(material);
+    });
+  });
+}
@@ -13,6 +13,10 @@ import dummyTargetFBXBase64 from '../assets/target_dummy/sk_prop_dummy_mesh.fbx'
 import dummyTargetTextureBase64 from '../assets/target_dummy/t_dummy_basecolor.png';
 
 import { GameManager } from './classes/GameManager';
+import { AdContainerBridge } from './classes/AdContainerBridge';
+import { createCTAAdapter } from './classes/adapters';
+import { createMraidStub } from './helpers/mraidStub';
+import { CURRENT_AD_NETWORK, PAUSE_REASONS } from './helpers/constants';
 
 /**
  * Debug mode configuration flag
@@ -20,6 +24,17 @@ import { GameManager } from './classes/GameManager';
  */
 const enableDebug = false;
 
+/**
+ * Use a local MRAID stub when no ad container SDK is present
+ * Lets the ready/viewable flow be tested in a plain browser (window.mraid.setViewable(false))
+ * @type {boolean}
+ */
+const useMraidStub = false;
+
+if (useMraidStub && !window.mraid) {
+  window.mraid = createMraidStub();
+}
+
 /**
  * Main game manager instance
  * @type {GameManager}
@@ -37,13 +52,32 @@ const assets = {
   dummyTargetTextureBase64,
 };
 
+/**
+ * Ad container bridge deciding when the game may run
+ * @type {AdContainerBridge}
+ */
+const adContainerBridge = new AdContainerBridge(window.mraid);
+
+// Route the Download CTA through the ad network selected at build time
+gameManager.gameUIOverlay.setCTAAdapter(
+  createCTAAdapter(CURRENT_AD_NETWORK, adContainerBridge)
+);
+
 // Load assets into the game manager
 gameManager.loadAssets(assets);
 
+// Start the game loop once the container is ready and the ad is viewable
+adContainerBridge.init({
+  onStart: () => gameManager.start(),
+  onPause: () => gameManager.pause(PAUSE_REASONS.AD_CONTAINER),
+  onResume: () => gameManager.resume(PAUSE_REASONS.AD_CONTAINER),
+});
+
 /**
  * Cleanup handler for page unload events
  * Ensures proper disposal of game resources when the page is closed
  */
 window.addEventListener('beforeunload', () => {
+  adContainerBridge.dispose();
   gameManager.dispose();
 });
@@ -40,6 +40,11 @@ module.exports = (env) => {
       new HtmlInlineScriptPlugin(),
       new webpack.DefinePlugin({
         TARGET_CONFIG_NAME: JSON.stringify(env.TARGET_CONFIG_NAME),
+        AD_NETWORK: JSON.stringify(env.AD_NETWORK),
+        FIRE_MODE: JSON.stringify(env.FIRE_MODE),
+        GAME_MODE: JSON.stringify(env.GAME_MODE),
+        GYRO: JSON.stringify(env.GYRO),
+        DEV_MODE: JSON.stringify(env.mode === 'development'),
       }),
     ],
     optimization: {